@@ -0,0 +1,178 @@
+import http from "http";
+import https from "https";
+import { EventEmitter } from "events";
+import { Agent as UndiciAgent } from "undici";
+import { UpstreamPool } from "./gateway.js";
+import { ResultSet } from "./resultset.js";
+
+/**
+ * Rotating agents
+ * RotatingAgent turns a check() result into an http.Agent, an https.Agent and an undici
+ * Dispatcher that send every new connection through one of its working proxies, over an
+ * HTTP CONNECT, SOCKS4 or SOCKS5 tunnel.
+ */
+
+/**
+ * Working entries of the source that match the filters
+ * With `protocol`, entries of `type: 'auto'` results use the first wanted protocol they support.
+ */
+function selectEntries(source, { country, protocol, labels, maxLatency } = {}) {
+  let set = source instanceof ResultSet ? source : Array.isArray(source) ? new ResultSet(source) : ResultSet.from(source);
+  set = set.working();
+  if (country) set = set.country(country);
+  if (maxLatency !== undefined) set = set.maxLatency(maxLatency);
+  for (const [key, values] of Object.entries(labels || {})) set = set.label(key, values);
+  if (!protocol) return set.toArray();
+
+  const wanted = [protocol].flat().flatMap(p => String(p).split(",")).map(p => p.trim().toLowerCase());
+  return set.protocol(wanted).toArray().map(entry => {
+    if (wanted.includes(entry.protocol)) return entry;
+    return { ...entry, protocol: wanted.find(p => entry.supportedProtocols?.includes(p)) };
+  });
+}
+
+class TunnelHttpAgent extends http.Agent {
+  constructor(rotating, options) {
+    super(options);
+    this.rotating = rotating;
+  }
+
+  createConnection(options, callback) {
+    this.rotating.connect(options.host, Number(options.port) || 80).then(socket => callback(null, socket), callback);
+  }
+}
+
+class TunnelHttpsAgent extends https.Agent {
+  constructor(rotating, options) {
+    super(options);
+    this.rotating = rotating;
+  }
+
+  createConnection(options, callback) {
+    // path is the request path here, not an IPC path for tls.connect
+    const { host, port, path, ...tlsOptions } = options;
+    this.rotating.connect(host, Number(port) || 443, { tls: tlsOptions }).then(socket => callback(null, socket), callback);
+  }
+}
+
+class TunnelDispatcher extends UndiciAgent {
+  constructor(rotating, keepAlive) {
+    super({
+      connect: ({ hostname, port, protocol, servername }, callback) => {
+        const secure = protocol === "https:";
+        this.rotating.connect(hostname, Number(port) || (secure ? 443 : 80), secure ? { tls: { servername } } : {})
+          .then(socket => callback(null, socket), err => callback(err, null));
+      },
+    });
+    this.rotating = rotating;
+    this.keepAlive = keepAlive;
+  }
+
+  dispatch(options, handler) {
+    // A closed connection sends the next request through the next upstream
+    return super.dispatch(this.keepAlive ? options : { ...options, reset: true }, handler);
+  }
+}
+
+/**
+ * RotatingAgent
+ * Returned by ClearProxy#createAgent(). Every new connection picks a working upstream with the
+ * pool strategy; a connection that fails is retried on the next upstream (`attempts`), and an
+ * upstream that fails `maxFailures` times in a row is removed until the next update().
+ *
+ * Without `keepAlive` (the default) connections are not reused, so every request rotates.
+ * HTTP upstreams must allow CONNECT, also for plain http:// targets.
+ *
+ * Properties:
+ *   - http        http.Agent for http:// URLs
+ *   - https       https.Agent for https:// URLs
+ *   - dispatcher  undici Dispatcher, for undici and the global fetch()
+ *   - agentFor    `url => agent`, for node-fetch's `agent` option
+ *   - pool        The UpstreamPool, with per-upstream failure counts
+ *
+ * Events:
+ *   - failure  `{ target, upstream, error, removed }` an upstream failed; `removed` when it was dropped
+ *
+ * @example
+ * const agent = client.createAgent(result, { strategy: 'fastest', country: 'US' });
+ * await fetch(url, { dispatcher: agent.dispatcher });                          // global fetch / undici
+ * await nodeFetch(url, { agent: agent.agentFor });                             // node-fetch
+ * await axios.get(url, { httpAgent: agent.http, httpsAgent: agent.https, proxy: false });
+ * agent.stats().upstreams;                                                     // requests, failures per proxy
+ */
+export class RotatingAgent extends EventEmitter {
+  /**
+   * @param {Object|Array} source - check() result, result entries or a ResultSet; working entries are used
+   * @param {Object} [options] - See ClearProxy#createAgent()
+   * @throws {Error} When no working proxy matches the filters
+   */
+  constructor(source, options = {}) {
+    super();
+    const { strategy, maxFailures, attempts = 3, timeout = 10000, keepAlive = false, country, protocol, labels, maxLatency } = options;
+    this.filters = { country, protocol, labels, maxLatency };
+    this.pool = new UpstreamPool(selectEntries(source, this.filters), { strategy, maxFailures });
+    if (!this.pool.upstreams.length) throw new Error("No working proxies match the agent filters");
+    this.attempts = attempts;
+    this.timeout = timeout;
+
+    this.http = new TunnelHttpAgent(this, { keepAlive });
+    this.https = new TunnelHttpsAgent(this, { keepAlive });
+    this.dispatcher = new TunnelDispatcher(this, keepAlive);
+    this.agentFor = url => (new URL(url).protocol === "https:" ? this.https : this.http);
+  }
+
+  /**
+   * Connect to a target through the next upstreams until one succeeds
+   * @param {string} host - Target host
+   * @param {number} port - Target port
+   * @param {Object} [options]
+   * @param {Object} [options.tls] - Start TLS over the tunnel with these tls.connect() options
+   * @returns {Promise<net.Socket|tls.TLSSocket>} Socket connected to the target
+   */
+  async connect(host, port, { tls: tlsOptions } = {}) {
+    const { upstream, socket } = await this.pool.open(host, port, {
+      attempts: this.attempts,
+      timeout: this.timeout,
+      tls: tlsOptions,
+      onFailure: (upstream, error, removed) => this.emit("failure", { target: `${host}:${port}`, upstream, error, removed }),
+    });
+    this._track(upstream, socket);
+    return socket;
+  }
+
+  // Count the connection on its upstream until it closes
+  _track(upstream, socket) {
+    upstream.requests++;
+    upstream.active++;
+    socket.once("close", () => {
+      upstream.active--;
+      upstream.bytesIn += socket.bytesRead;
+      upstream.bytesOut += socket.bytesWritten;
+    });
+  }
+
+  /**
+   * Replace the upstreams, e.g. after a new check; the agent filters apply again
+   * @param {Object|Array} source - Same as the constructor
+   */
+  update(source) {
+    this.pool.update(selectEntries(source, this.filters));
+  }
+
+  /**
+   * Per-upstream counters
+   * @returns {Object} `{ strategy, total, alive, removed, upstreams: [{ proxy, requests, failures, removed, lastError, ... }] }`
+   */
+  stats() {
+    return this.pool.stats();
+  }
+
+  /**
+   * Close every connection of the three agents
+   */
+  async destroy() {
+    this.http.destroy();
+    this.https.destroy();
+    await this.dispatcher.destroy();
+  }
+}
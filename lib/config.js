@@ -0,0 +1,211 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { writeFileAtomic, validateType } from "./utils.js";
+import { validateFormat } from "./exporters.js";
+import { resolveCustomUrls } from "./customurls.js";
+
+export const DEFAULT_CONFIG_FILE = path.join(os.homedir(), ".clearproxyrc");
+export const DEFAULT_PROFILE = "default";
+export const PROFILE_KEYS = ["apiKey", "region", "type", "timeout", "format", "presets"];
+
+const PROFILE_NAME_RE = /^[\w.-]+$/;
+
+/**
+ * Check and normalize one profile setting
+ * CLI values arrive as strings; presets may be anything resolveCustomUrls() accepts.
+ */
+function parseSetting(key, value) {
+  if (key === "apiKey" || key === "region") {
+    const text = String(value ?? "").trim();
+    if (!text) throw new Error(`${key} cannot be empty`);
+    return text;
+  }
+  if (key === "type") {
+    validateType(value);
+    return value;
+  }
+  if (key === "timeout") {
+    const ms = Number(value);
+    if (!Number.isInteger(ms) || ms <= 0) throw new Error(`Invalid timeout: ${value}. Use milliseconds, e.g. 4000`);
+    return ms;
+  }
+  if (key === "format") {
+    validateFormat(value);
+    return value;
+  }
+  if (key.startsWith("presets.")) {
+    // A spec, preset name, JSON array or spec file; stored as the resolved rules
+    return resolveCustomUrls(value);
+  }
+  throw new Error(`Unknown setting: ${key}. Use ${PROFILE_KEYS.filter(k => k !== "presets").join(", ")} or presets.<name>`);
+}
+
+/**
+ * ConfigStore
+ * Named profiles in ~/.clearproxyrc, each with an API key and defaults for the CLI:
+ *   { current: "default", profiles: { default: { apiKey, region, type, timeout, format, presets } } }
+ * `presets` maps a name to a custom URL array, usable as `--custom <name>`.
+ *
+ * The file holds API keys and is always written with mode 0600. The old `{ apiKey }` file is
+ * read as the `default` profile and rewritten in the new shape on the next change.
+ *
+ * Which profile is used: the `profile` argument (--profile), then CLEARPROXY_PROFILE, then the
+ * current one. CLEARPROXY_API_KEY overrides the key of any profile, for CI.
+ */
+export class ConfigStore {
+  /**
+   * @param {string} [file] - Config file (default: ~/.clearproxyrc)
+   */
+  constructor(file = DEFAULT_CONFIG_FILE) {
+    this.file = file;
+  }
+
+  /**
+   * The whole config file
+   * @returns {Object} `{ current, profiles }`
+   * @throws {Error} When the file exists but is not valid JSON; it is never overwritten then
+   */
+  read() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return { current: DEFAULT_PROFILE, profiles: {} };
+      throw new Error(`${this.file} is not valid JSON: ${err.message}`);
+    }
+    if (!data.profiles) {
+      return { current: DEFAULT_PROFILE, profiles: data.apiKey ? { [DEFAULT_PROFILE]: { apiKey: data.apiKey } } : {} };
+    }
+    return { current: data.current || DEFAULT_PROFILE, profiles: data.profiles };
+  }
+
+  _write(config) {
+    writeFileAtomic(this.file, JSON.stringify(config, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Name of the profile in use
+   * @param {string} [profile] - Explicit profile name
+   * @param {Object} [env=process.env]
+   */
+  selected(profile, env = process.env) {
+    return profile || env.CLEARPROXY_PROFILE || this.read().current;
+  }
+
+  /**
+   * Settings of a profile, with environment overrides applied
+   * @param {Object} [options]
+   * @param {string} [options.profile] - Profile name (default: CLEARPROXY_PROFILE, then the current profile)
+   * @param {Object} [options.env=process.env]
+   * @returns {Object} `{ name, apiKey, region, type, timeout, format, presets }`; unset keys are undefined
+   * @throws {Error} When a profile was named explicitly and does not exist
+   */
+  resolve({ profile, env = process.env } = {}) {
+    const config = this.read();
+    const name = profile || env.CLEARPROXY_PROFILE || config.current;
+    const stored = config.profiles[name];
+    if (!stored && (profile || env.CLEARPROXY_PROFILE)) {
+      const known = Object.keys(config.profiles);
+      throw new Error(`Unknown profile: ${name}.${known.length ? ` Profiles: ${known.join(", ")}` : ""}`);
+    }
+    return {
+      ...stored,
+      name,
+      apiKey: env.CLEARPROXY_API_KEY || stored?.apiKey,
+      presets: { ...stored?.presets },
+    };
+  }
+
+  /**
+   * Every profile, for listing
+   * @returns {Array<Object>} `{ name, current, ...settings }`
+   */
+  list() {
+    const config = this.read();
+    return Object.entries(config.profiles).map(([name, settings]) => ({ name, current: name === config.current, ...settings }));
+  }
+
+  /**
+   * Change one setting of a profile, creating the profile if needed
+   * @param {string} name - Profile name
+   * @param {string} key - apiKey, region, type, timeout, format or presets.<name>
+   * @param {*} value - Checked and normalized, e.g. "8000" → 8000 for timeout
+   * @returns {*} The stored value
+   */
+  set(name, key, value) {
+    if (!PROFILE_NAME_RE.test(name)) throw new Error(`Invalid profile name: ${name}. Use letters, digits, . _ -`);
+    const stored = parseSetting(key, value);
+    const config = this.read();
+    const settings = { ...config.profiles[name] };
+    if (key.startsWith("presets.")) {
+      settings.presets = { ...settings.presets, [key.slice("presets.".length)]: stored };
+    } else {
+      settings[key] = stored;
+    }
+    config.profiles[name] = settings;
+    // The first profile becomes the current one
+    if (!config.profiles[config.current]) config.current = name;
+    this._write(config);
+    return stored;
+  }
+
+  /**
+   * Make a profile the current one
+   * @throws {Error} When the profile does not exist
+   */
+  use(name) {
+    const config = this.read();
+    if (!config.profiles[name]) throw new Error(`Unknown profile: ${name}`);
+    config.current = name;
+    this._write(config);
+  }
+
+  /**
+   * Delete a profile, or one setting of it
+   * @param {string} name - Profile name
+   * @param {string} [key] - Setting to delete (presets.<name> for one preset); omit to delete the profile
+   * @returns {boolean} Whether anything was deleted
+   */
+  remove(name, key) {
+    const config = this.read();
+    const settings = config.profiles[name];
+    if (!settings) return false;
+
+    if (key) {
+      const preset = key.startsWith("presets.") ? key.slice("presets.".length) : null;
+      const holder = preset ? settings.presets : settings;
+      const field = preset ?? key;
+      if (!holder || !(field in holder)) return false;
+      delete holder[field];
+    } else {
+      delete config.profiles[name];
+      if (config.current === name) config.current = Object.keys(config.profiles)[0] || DEFAULT_PROFILE;
+    }
+    this._write(config);
+    return true;
+  }
+}
+
+/**
+ * Settings of a saved profile, as the CLI uses them
+ * @param {string} [profile] - Profile name (default: CLEARPROXY_PROFILE, then the current profile)
+ * @param {Object} [options]
+ * @param {string} [options.file] - Config file (default: ~/.clearproxyrc)
+ * @returns {Object} `{ name, apiKey, region, type, timeout, format, presets }`
+ *
+ * @example
+ * const { apiKey, region, presets } = loadProfile('staging');
+ * await client.check('proxies.txt', { region, customUrls: presets.discord });
+ */
+export function loadProfile(profile, { file } = {}) {
+  return new ConfigStore(file).resolve({ profile });
+}
+
+/**
+ * `clearpx_abcd…wxyz`: enough of a key to tell profiles apart
+ */
+export function maskKey(key) {
+  if (!key) return "";
+  return key.length <= 12 ? `${key.slice(0, 4)}…` : `${key.slice(0, 8)}…${key.slice(-4)}`;
+}
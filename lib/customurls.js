@@ -0,0 +1,385 @@
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { perUrlResults } from "./results.js";
+import { didYouMean } from "./utils.js";
+
+/**
+ * Custom URL validation specs
+ * A spec is a list of rules, each checked through every working proxy. It can be given as an
+ * array of rules, a preset name, or a JSON/YAML file:
+ *
+ *   presets:                      # optional, reusable by name
+ *     shop:
+ *       - url: https://shop.example.com
+ *         forbiddenText: [captcha, "Access denied"]
+ *   rules:
+ *     - discord                   # built-in or spec preset
+ *     - preset: shop
+ *     - url: https://api.example.com/health
+ *       method: HEAD
+ *       requiredStatusCodes: [200, 204]
+ *       requiredHeaders: { content-type: json }
+ *       maxLatency: 1500
+ *
+ * Specs are checked against RULE_SCHEMA before any check is spent; every problem is reported
+ * with its path (`rules[2].requiredStatusCodes[1]`).
+ */
+
+export const HTTP_METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"];
+
+/**
+ * Rule fields only the LocalChecker evaluates
+ * API checks request every URL with GET and judge it on url, requiredStatusCodes, requiredText
+ * and caseSensitive alone.
+ */
+export const LOCAL_ONLY_FIELDS = ["method", "headers", "requiredRegex", "forbiddenText", "requiredHeaders", "maxLatency"];
+
+/**
+ * Fields of one rule
+ *   - name                 label in summaries (default: the URL)
+ *   - url                  http(s) URL to request [required]
+ *   - method               HTTP method (default: GET)
+ *   - headers              request headers, name → value
+ *   - requiredStatusCodes  accepted statuses (default: [200])
+ *   - requiredText         body must contain this text
+ *   - caseSensitive        for requiredText and requiredRegex (default: false)
+ *   - requiredRegex        body must match this regular expression
+ *   - forbiddenText        body must not contain this text (string or list)
+ *   - requiredHeaders      response headers, name → substring of the value, or true for any value
+ *   - maxLatency           fail responses slower than this many ms
+ */
+export const RULE_SCHEMA = {
+  name: "string",
+  url: "url",
+  method: "method",
+  headers: "headers",
+  requiredStatusCodes: "statusCodes",
+  requiredText: "string",
+  caseSensitive: "boolean",
+  requiredRegex: "regex",
+  forbiddenText: "texts",
+  requiredHeaders: "headerMatch",
+  maxLatency: "positiveInt",
+};
+
+/**
+ * Built-in presets, usable by name anywhere a rule is
+ */
+export const CUSTOM_URL_PRESETS = {
+  discord: [
+    {
+      name: "discord",
+      url: "https://discord.com/api/v9/experiments",
+      requiredStatusCodes: [200],
+      requiredHeaders: { "content-type": "application/json" },
+      forbiddenText: ["You are being blocked", "Access denied"],
+    },
+  ],
+  google: [
+    {
+      name: "google",
+      url: "https://www.google.com/search?q=clearproxy",
+      requiredStatusCodes: [200],
+      forbiddenText: ["unusual traffic", "/sorry/index"],
+    },
+  ],
+  ecommerce: [
+    {
+      name: "ecommerce:amazon",
+      url: "https://www.amazon.com/",
+      requiredStatusCodes: [200],
+      forbiddenText: ["captcha", "Robot Check", "api-services-support@amazon.com"],
+    },
+    {
+      name: "ecommerce:ebay",
+      url: "https://www.ebay.com/",
+      requiredStatusCodes: [200],
+      forbiddenText: ["Pardon Our Interruption", "captcha"],
+    },
+  ],
+};
+
+/**
+ * Thrown when a spec does not match the schema
+ * `errors` lists every problem as `{ path, message }`.
+ */
+export class CustomUrlSpecError extends Error {
+  constructor(errors, source) {
+    const lines = errors.map(e => `  ${e.path || "(root)"}: ${e.message}`);
+    super(`Invalid custom URL spec${source ? ` in ${source}` : ""} (${errors.length} error${errors.length === 1 ? "" : "s"}):\n${lines.join("\n")}`);
+    this.name = this.constructor.name;
+    this.errors = errors;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Problems of one field value, pushed as `{ path, message }`
+ */
+const CHECKS = {
+  string: (value, at, errors) => {
+    if (typeof value !== "string" || !value) errors.push({ path: at, message: "must be a non-empty string" });
+  },
+  boolean: (value, at, errors) => {
+    if (typeof value !== "boolean") errors.push({ path: at, message: "must be true or false" });
+  },
+  url: (value, at, errors) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      errors.push({ path: at, message: `must be an absolute URL, got ${JSON.stringify(value)}` });
+      return;
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      errors.push({ path: at, message: `must be an http or https URL, got ${url.protocol}` });
+    }
+  },
+  method: (value, at, errors) => {
+    if (typeof value !== "string" || !HTTP_METHODS.includes(value.toUpperCase())) {
+      errors.push({ path: at, message: `must be one of ${HTTP_METHODS.join(", ")}` });
+    }
+  },
+  headers: (value, at, errors) => {
+    if (!isObject(value)) {
+      errors.push({ path: at, message: "must be an object of header names to values" });
+      return;
+    }
+    for (const [name, header] of Object.entries(value)) {
+      if (typeof header !== "string" && typeof header !== "number") {
+        errors.push({ path: `${at}.${name}`, message: "must be a string" });
+      }
+    }
+  },
+  statusCodes: (value, at, errors) => {
+    if (!Array.isArray(value) || !value.length) {
+      errors.push({ path: at, message: "must be a non-empty array of status codes" });
+      return;
+    }
+    value.forEach((code, i) => {
+      if (!Number.isInteger(code) || code < 100 || code > 599) {
+        errors.push({ path: `${at}[${i}]`, message: `must be an HTTP status code (100-599), got ${JSON.stringify(code)}` });
+      }
+    });
+  },
+  regex: (value, at, errors) => {
+    if (typeof value !== "string" || !value) {
+      errors.push({ path: at, message: "must be a regular expression string" });
+      return;
+    }
+    try {
+      new RegExp(value);
+    } catch (err) {
+      errors.push({ path: at, message: err.message });
+    }
+  },
+  texts: (value, at, errors) => {
+    const list = Array.isArray(value) ? value : [value];
+    if (!list.length) errors.push({ path: at, message: "must be a string or a non-empty array of strings" });
+    list.forEach((text, i) => {
+      if (typeof text !== "string" || !text) {
+        errors.push({ path: Array.isArray(value) ? `${at}[${i}]` : at, message: "must be a non-empty string" });
+      }
+    });
+  },
+  headerMatch: (value, at, errors) => {
+    if (!isObject(value)) {
+      errors.push({ path: at, message: "must be an object of header names to a value substring or true" });
+      return;
+    }
+    for (const [name, match] of Object.entries(value)) {
+      if (match !== true && typeof match !== "string") {
+        errors.push({ path: `${at}.${name}`, message: "must be a string or true" });
+      }
+    }
+  },
+  positiveInt: (value, at, errors) => {
+    if (!Number.isInteger(value) || value <= 0) errors.push({ path: at, message: "must be a positive integer (milliseconds)" });
+  },
+};
+
+function checkRule(rule, at, errors) {
+  for (const [field, value] of Object.entries(rule)) {
+    const kind = RULE_SCHEMA[field];
+    if (!kind) {
+      errors.push({ path: `${at}.${field}`, message: `unknown field${didYouMean(field, Object.keys(RULE_SCHEMA))}` });
+    } else if (value !== undefined && value !== null) {
+      CHECKS[kind](value, `${at}.${field}`, errors);
+    }
+  }
+  if (rule.url === undefined || rule.url === null) errors.push({ path: `${at}.url`, message: "is required" });
+}
+
+function normalizeRule(rule) {
+  const out = {};
+  for (const field of Object.keys(RULE_SCHEMA)) {
+    if (rule[field] === undefined || rule[field] === null) continue;
+    out[field] = rule[field];
+  }
+  if (out.method) out.method = out.method.toUpperCase();
+  if (out.forbiddenText !== undefined) out.forbiddenText = [out.forbiddenText].flat();
+  if (out.headers) out.headers = Object.fromEntries(Object.entries(out.headers).map(([k, v]) => [k, String(v)]));
+  return out;
+}
+
+/**
+ * Expand the entries of a rule list: preset references become their rules
+ */
+function expand(entries, at, presets, errors, stack) {
+  if (!Array.isArray(entries)) {
+    errors.push({ path: at, message: "must be an array of rules or preset names" });
+    return [];
+  }
+  return entries.flatMap((entry, i) => {
+    const here = `${at}[${i}]`;
+    const ref = typeof entry === "string" ? entry : isObject(entry) && "preset" in entry ? entry.preset : undefined;
+    if (ref !== undefined) {
+      if (isObject(entry) && Object.keys(entry).length > 1) {
+        errors.push({ path: here, message: "a preset reference cannot have other fields" });
+        return [];
+      }
+      if (!Object.hasOwn(presets, ref)) {
+        errors.push({ path: here, message: `unknown preset ${JSON.stringify(ref)}; known: ${Object.keys(presets).join(", ")}` });
+        return [];
+      }
+      if (stack.includes(ref)) {
+        errors.push({ path: here, message: `preset ${ref} includes itself (${[...stack, ref].join(" → ")})` });
+        return [];
+      }
+      return expand(presets[ref], `presets.${ref}`, presets, errors, [...stack, ref]);
+    }
+    if (!isObject(entry)) {
+      errors.push({ path: here, message: "must be a rule object or a preset name" });
+      return [];
+    }
+    checkRule(entry, here, errors);
+    return [entry];
+  });
+}
+
+/**
+ * Local-only fields used by resolved rules
+ * @param {Array<Object>} rules - From resolveCustomUrls()
+ * @returns {Array<{ name: string, fields: Array<string> }>} One entry per rule using any of LOCAL_ONLY_FIELDS
+ */
+export function localOnlyFields(rules) {
+  return rules
+    .map(rule => ({ name: rule.name ?? rule.url, fields: LOCAL_ONLY_FIELDS.filter(field => rule[field] !== undefined) }))
+    .filter(entry => entry.fields.length);
+}
+
+/**
+ * Rules as an API check takes them: local-only fields removed
+ * @param {Array<Object>} rules - From resolveCustomUrls()
+ * @returns {Array<Object>}
+ */
+export function apiRules(rules) {
+  return rules.map(rule => Object.fromEntries(Object.entries(rule).filter(([field]) => !LOCAL_ONLY_FIELDS.includes(field))));
+}
+
+/**
+ * Read a spec file: JSON, or YAML for .yaml/.yml
+ * @param {string} file - Path to the spec
+ * @returns {Object|Array} The parsed spec
+ */
+export function loadCustomUrlSpec(file) {
+  const absPath = path.resolve(process.cwd(), file);
+  if (!fs.existsSync(absPath)) throw new Error(`Custom URL spec not found: ${file}`);
+  const text = fs.readFileSync(absPath, "utf8");
+  try {
+    return /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Failed to parse ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Resolve a custom URL spec into the flat list of rules sent with a check
+ * Rule names are made unique (`https://a.com`, `https://a.com#2`) so summaries can key on them.
+ * @param {Array|Object|string} spec - Rules array, `{ presets, rules }` object, a preset name,
+ *   a JSON array string, or the path of a .json/.yaml/.yml spec file
+ * @param {Object} [options]
+ * @param {Object} [options.presets] - Extra presets, name → rules (e.g. from a config profile);
+ *   they override built-in presets of the same name, and spec presets override both
+ * @returns {Array<Object>} Normalized rules
+ * @throws {CustomUrlSpecError} When the spec does not match the schema
+ *
+ * @example
+ * resolveCustomUrls('discord');
+ * resolveCustomUrls('rules.yaml');
+ * resolveCustomUrls([{ url: 'https://shop.example.com', forbiddenText: 'captcha', maxLatency: 2000 }]);
+ */
+export function resolveCustomUrls(spec, { presets = {} } = {}) {
+  if (spec === undefined || spec === null) return [];
+  let source;
+  const known = { ...CUSTOM_URL_PRESETS, ...presets };
+  if (typeof spec === "string") {
+    const text = spec.trim();
+    if (Object.hasOwn(known, text)) {
+      spec = [text];
+    } else if (text.startsWith("[") || text.startsWith("{")) {
+      try {
+        spec = JSON.parse(text);
+      } catch (err) {
+        throw new CustomUrlSpecError([{ path: "", message: `not valid JSON: ${err.message}` }]);
+      }
+    } else {
+      source = text;
+      spec = loadCustomUrlSpec(text);
+    }
+  }
+
+  const errors = [];
+  let entries = spec;
+  let at = "";
+  if (isObject(spec)) {
+    for (const key of Object.keys(spec)) {
+      if (key !== "rules" && key !== "presets") errors.push({ path: key, message: "unknown key; a spec has rules and presets" });
+    }
+    if (spec.presets !== undefined) {
+      if (isObject(spec.presets)) Object.assign(known, spec.presets);
+      else errors.push({ path: "presets", message: "must be an object of preset names to rule arrays" });
+    }
+    entries = spec.rules;
+    at = "rules";
+    if (entries === undefined) errors.push({ path: "rules", message: "is required" });
+  }
+
+  const rules = entries === undefined ? [] : expand(entries, at, known, errors, []);
+  if (errors.length) throw new CustomUrlSpecError(errors, source);
+
+  const seen = new Map();
+  return rules.map(rule => {
+    const out = normalizeRule(rule);
+    const base = out.name || out.url;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return { ...out, name: count === 1 ? base : `${base}#${count}` };
+  });
+}
+
+/**
+ * Name the per-URL entries of a check result after the rules that produced them
+ * Entries the checker already named are kept; the others take the next unused rule with the
+ * same URL, in order, so two rules on one URL stay apart in summaries and merges.
+ * @param {Object|Array} validation - custom_url_validation from a result; changed in place
+ * @param {Array<Object>} rules - Rules from resolveCustomUrls() that were sent with the check
+ * @returns {Object|Array} The same validation
+ */
+export function nameRuleResults(validation, rules) {
+  const entries = perUrlResults(validation);
+  const unused = rules.filter(rule => !entries.some(entry => entry.name === rule.name));
+  for (const entry of entries) {
+    if (entry.name) continue;
+    const index = unused.findIndex(rule => rule.url === entry.url);
+    if (index === -1) continue;
+    const [rule] = unused.splice(index, 1);
+    entry.name = rule.name;
+    if (rule.method && !entry.method) entry.method = rule.method;
+  }
+  return validation;
+}
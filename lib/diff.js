@@ -0,0 +1,194 @@
+import fs from "fs";
+import path from "path";
+import { formatProxy } from "./utils.js";
+import { proxyKey, latency, passedByUrl } from "./results.js";
+
+/**
+ * Compare two check() results of the same pool
+ *
+ * Every proxy gets one state:
+ *   - newly_failed   working before, not now
+ *   - revived        not working before, working now
+ *   - still_working  / still_failed
+ *   - added          only in the new result
+ *   - removed        only in the old result
+ * and a list of changes for proxies in both: latency beyond the threshold, country, anonymity,
+ * and custom URL verdicts.
+ */
+
+export const DIFF_STATES = ["newly_failed", "revived", "still_working", "still_failed", "added", "removed"];
+
+/**
+ * Read a saved result: a full result document, a JSON array of entries, or NDJSON
+ * @param {string} file - Path to the result file
+ * @returns {Object} Result with at least `proxies` (and `custom_url_validation` when saved)
+ * @throws {Error} When the file is missing or is not a check result
+ */
+export function loadResultFile(file) {
+  const absPath = path.resolve(process.cwd(), file);
+  if (!fs.existsSync(absPath)) throw new Error(`File not found: ${file}`);
+  const content = fs.readFileSync(absPath, "utf8").trim();
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    try {
+      data = content.split(/\r?\n/).filter(Boolean).map(line => JSON.parse(line));
+    } catch {
+      throw new Error(`${file} is not a saved check result (save it with --format json or ndjson, without --simple)`);
+    }
+  }
+
+  const result = Array.isArray(data) ? { proxies: data } : data;
+  if (!Array.isArray(result?.proxies) || result.proxies.some(p => !p || typeof p !== "object" || !p.proxy)) {
+    throw new Error(`${file} is not a saved check result (save it with --format json or ndjson, without --simple)`);
+  }
+  return result;
+}
+
+/**
+ * Custom URL verdict of every proxy: `key → { url: true|false|null }`
+ * Full documents carry custom_url_validation; exported entries carry `custom_urls`.
+ */
+function customVerdicts(result) {
+  const passed = passedByUrl(result.custom_url_validation);
+  const out = new Map();
+  for (const entry of result.proxies) {
+    const key = proxyKey(entry);
+    if (entry.custom_urls) {
+      out.set(key, entry.custom_urls);
+    } else if (passed.size) {
+      out.set(key, Object.fromEntries([...passed].map(([url, keys]) => [url, entry.status === "working" ? keys.has(key) : null])));
+    }
+  }
+  return out;
+}
+
+function snapshot(entry) {
+  return {
+    status: entry.status,
+    responseTime: entry.responseTime ?? null,
+    country: entry.country ?? null,
+    anonymity: entry.anonymity ?? null,
+  };
+}
+
+function proxyString(entry) {
+  const p = entry.proxy;
+  return formatProxy({
+    host: p.host,
+    port: p.port,
+    username: p.username || undefined,
+    password: p.username ? p.password ?? undefined : undefined,
+    protocol: entry.protocol || undefined,
+  });
+}
+
+function stateOf(before, after) {
+  if (!before) return "added";
+  if (!after) return "removed";
+  const was = before.status === "working";
+  const is = after.status === "working";
+  if (was && !is) return "newly_failed";
+  if (!was && is) return "revived";
+  return was ? "still_working" : "still_failed";
+}
+
+/**
+ * Changes of a proxy present in both results
+ */
+function changesOf(before, after, verdicts, latencyThreshold) {
+  const changes = [];
+  if (before.status === "working" && after.status === "working") {
+    const from = latency(before);
+    const to = latency(after);
+    if (Number.isFinite(from) && Number.isFinite(to) && Math.abs(to - from) >= latencyThreshold) {
+      changes.push({ field: "latency", from, to, delta: to - from });
+    }
+  }
+  for (const field of ["country", "anonymity"]) {
+    // A failed check reports no country or anonymity; only compare values both runs have
+    if (before[field] && after[field] && before[field] !== after[field]) {
+      changes.push({ field, from: before[field], to: after[field] });
+    }
+  }
+  const [was = {}, is = {}] = verdicts;
+  for (const url of Object.keys(is)) {
+    if (typeof was[url] === "boolean" && typeof is[url] === "boolean" && was[url] !== is[url]) {
+      changes.push({ field: "custom_url", url, from: was[url], to: is[url] });
+    }
+  }
+  return changes;
+}
+
+/**
+ * A proxy counts as a regression when it newly failed, got slower beyond the threshold,
+ * or stopped passing a custom URL
+ */
+function isRegression(row) {
+  return row.state === "newly_failed" || row.changes.some(c =>
+    (c.field === "latency" && c.delta > 0) || (c.field === "custom_url" && c.to === false));
+}
+
+/**
+ * Compare two check() results
+ * Proxies are matched by host, port and credentials, so a changed protocol is the same proxy.
+ * @param {Object} before - Older result (check() result or loadResultFile())
+ * @param {Object} after - Newer result
+ * @param {Object} [options]
+ * @param {number} [options.latencyThreshold=500] - Report latency changes of at least this many ms
+ * @returns {Object} `{ summary, proxies }`; each proxy is
+ *   `{ proxy, state, regression, before, after, changes: [{ field, from, to, delta?, url? }], labels? }`
+ *
+ * @example
+ * const diff = diffResults(loadResultFile('monday.json'), await client.check('pool.txt'));
+ * console.log(diff.summary.newly_failed, diff.summary.regressions);
+ * diff.proxies.filter(p => p.state === 'revived').map(p => p.proxy);
+ */
+export function diffResults(before, after, { latencyThreshold = 500 } = {}) {
+  const oldEntries = new Map((before.proxies || []).map(entry => [proxyKey(entry), entry]));
+  const newEntries = new Map((after.proxies || []).map(entry => [proxyKey(entry), entry]));
+  const oldVerdicts = customVerdicts(before);
+  const newVerdicts = customVerdicts(after);
+
+  const keys = [...new Set([...oldEntries.keys(), ...newEntries.keys()])];
+  const proxies = keys.map(key => {
+    const was = oldEntries.get(key);
+    const is = newEntries.get(key);
+    const entry = is || was;
+    const row = {
+      proxy: proxyString(entry),
+      state: stateOf(was, is),
+      before: was ? snapshot(was) : null,
+      after: is ? snapshot(is) : null,
+      changes: was && is ? changesOf(was, is, [oldVerdicts.get(key), newVerdicts.get(key)], latencyThreshold) : [],
+      ...(entry.labels ? { labels: entry.labels } : {}),
+    };
+    return { ...row, regression: isRegression(row) };
+  });
+
+  const count = predicate => proxies.filter(predicate).length;
+  const changed = (field, test = () => true) => count(p => p.changes.some(c => c.field === field && test(c)));
+  const inBoth = count(p => p.before && p.after);
+
+  return {
+    summary: {
+      ...Object.fromEntries(DIFF_STATES.map(state => [state, count(p => p.state === state)])),
+      total_before: oldEntries.size,
+      total_after: newEntries.size,
+      working_before: count(p => p.before?.status === "working"),
+      working_after: count(p => p.after?.status === "working"),
+      slower: changed("latency", c => c.delta > 0),
+      faster: changed("latency", c => c.delta < 0),
+      country_changed: changed("country"),
+      anonymity_changed: changed("anonymity"),
+      custom_url_lost: changed("custom_url", c => c.to === false),
+      custom_url_gained: changed("custom_url", c => c.to === true),
+      regressions: count(p => p.regression),
+      regression_rate: inBoth ? Number(((count(p => p.regression) / inBoth) * 100).toFixed(2)) : 0,
+      latency_threshold: latencyThreshold,
+    },
+    proxies,
+  };
+}
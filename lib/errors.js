@@ -0,0 +1,130 @@
+/**
+ * Error classes thrown by the ClearProxy SDK
+ *
+ * Every API failure is a ClearProxyError subclass carrying the HTTP status,
+ * the parsed response body and the request id (when the API sent one), so
+ * callers can branch on `instanceof` instead of parsing messages.
+ */
+
+export class ClearProxyError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status code
+   * @param {*} [details.body] - Parsed response body (JSON object or raw text)
+   * @param {string} [details.requestId] - Request id reported by the API
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { status, body, requestId, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.body = body;
+    this.requestId = requestId;
+  }
+
+  /** Whether repeating the same request may succeed */
+  get retryable() {
+    return false;
+  }
+}
+
+/** API key missing, invalid or revoked (401/403) */
+export class AuthError extends ClearProxyError {}
+
+/** No checks left on the account */
+export class QuotaExceededError extends ClearProxyError {}
+
+/** Too many requests (429); `retryAfter` is in milliseconds when the API sent Retry-After */
+export class RateLimitError extends ClearProxyError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+/** The API rejected the request parameters (400/422) */
+export class ValidationError extends ClearProxyError {}
+
+/** The API failed with a 5xx status */
+export class ServerError extends ClearProxyError {
+  get retryable() {
+    return true;
+  }
+}
+
+/** The request never got a response (DNS, connection reset, timeout) */
+export class NetworkError extends ClearProxyError {
+  get retryable() {
+    return true;
+  }
+}
+
+/** The job finished but its result_url could not be downloaded */
+export class ResultFetchError extends ClearProxyError {
+  get retryable() {
+    return this.status === undefined || this.status === 404 || this.status === 429 || this.status >= 500;
+  }
+}
+
+/** The check was cancelled through `job.cancel()` or an AbortSignal */
+export class CancelledError extends ClearProxyError {}
+
+const QUOTA_PATTERN = /quota|insufficient|no checks|out of checks/i;
+
+/**
+ * Whether a failed POST /check certainly did not start a job
+ * Network errors and timeouts may hide a job the API accepted, so they are not retried; the
+ * submission is repeated only when the API refused it outright (429, 503).
+ */
+export function refusedSubmission(err) {
+  return err instanceof RateLimitError || (err instanceof ServerError && err.status === 503);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build the matching ClearProxyError for a non-2xx API response
+ * @param {Response} res - fetch response
+ * @returns {Promise<ClearProxyError>}
+ */
+export async function errorFromResponse(res) {
+  const text = await res.text().catch(() => "");
+  let body = text;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // Keep raw text
+  }
+
+  const status = res.status;
+  const requestId = res.headers?.get?.("x-request-id") ||
+    (body && typeof body === "object" ? body.request_id || body.requestId : undefined) ||
+    undefined;
+  const details = { status, body, requestId };
+  const message = `API Error (${status}): ${text}`;
+
+  if (status === 402 || ((status === 403 || status === 429) && QUOTA_PATTERN.test(text))) {
+    return new QuotaExceededError(message, details);
+  }
+  if (status === 401 || status === 403) return new AuthError(message, details);
+  if (status === 429) {
+    return new RateLimitError(message, { ...details, retryAfter: parseRetryAfter(res.headers?.get?.("retry-after")) });
+  }
+  if (status === 400 || status === 422) return new ValidationError(message, details);
+  if (status >= 500) return new ServerError(message, details);
+  return new ClearProxyError(message, details);
+}
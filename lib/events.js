@@ -0,0 +1,80 @@
+/**
+ * Normalization of raw progress-socket frames into typed events
+ *
+ * Typed events:
+ *   - { type: "queued", jobId, total }
+ *   - { type: "progress", checked, total, working, percent, eta, message }
+ *   - { type: "proxy", proxy }               one result entry, same shape as result.proxies[n]
+ *   - { type: "summary", summary, metadata, result }
+ *   - { type: "status", message, raw }       anything else the server sent
+ *   - { type: "connection", status, jobId }  progress socket state (added by checkStream)
+ */
+
+function isResultEntry(value) {
+  return Boolean(value && typeof value === "object" && value.proxy && value.status);
+}
+
+/**
+ * Pull per-proxy result entries out of a raw frame
+ * @returns {Array<Object>} Result entries (possibly empty)
+ */
+export function extractProxyResults(raw) {
+  const details = raw.details || {};
+  const candidates = [
+    raw.result, raw.data, details.result, details.proxy_result,
+    ...(Array.isArray(raw.results) ? raw.results : []),
+    ...(Array.isArray(details.results) ? details.results : []),
+  ];
+  if (isResultEntry(raw)) candidates.push(raw);
+  return candidates.filter(isResultEntry);
+}
+
+function firstNumber(...values) {
+  return values.find(v => typeof v === "number" && !Number.isNaN(v));
+}
+
+/**
+ * Convert a raw socket frame into typed events
+ * @param {Object} raw - Parsed frame as passed to `onProgress`
+ * @returns {Array<Object>} Typed events
+ */
+export function parseProgressEvent(raw) {
+  if (!raw || typeof raw !== "object") return [];
+
+  const details = raw.details || {};
+  const events = extractProxyResults(raw).map(entry => ({
+    type: "proxy",
+    proxy: raw.protocol && !entry.protocol ? { ...entry, protocol: raw.protocol } : entry,
+  }));
+
+  const kind = String(raw.type || raw.event || raw.status || "").toLowerCase();
+  const checked = firstNumber(details.checked, details.processed, details.completed, raw.checked, raw.processed);
+  const total = firstNumber(details.total, details.total_proxies, raw.total);
+
+  if (kind.includes("queue")) {
+    events.push({ type: "queued", position: firstNumber(details.position, raw.position), message: details.message, raw });
+  } else if (checked !== undefined || kind.includes("progress")) {
+    events.push({
+      type: "progress",
+      checked,
+      total,
+      working: firstNumber(details.working, details.total_working, raw.working),
+      message: details.message,
+      raw,
+    });
+  } else if (!events.length) {
+    events.push({ type: "status", message: details.message || raw.message, raw });
+  }
+
+  return events;
+}
+
+/**
+ * Estimate the remaining time of a job from its progress so far
+ * @returns {number|null} Milliseconds left, or null when unknown
+ */
+export function estimateEta(checked, total, startedAt, now = Date.now()) {
+  if (!checked || !total || checked >= total) return checked >= total && total ? 0 : null;
+  const rate = checked / (now - startedAt);
+  return rate > 0 ? Math.round((total - checked) / rate) : null;
+}
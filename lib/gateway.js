@@ -0,0 +1,562 @@
+import net from "net";
+import tls from "tls";
+import http from "http";
+import { once, EventEmitter } from "events";
+import { SocketReader, openTunnel } from "./tunnel.js";
+import { proxyKey, latency } from "./results.js";
+import { formatProxy } from "./utils.js";
+
+/**
+ * Rotating proxy gateway
+ * ProxyGateway listens as an HTTP proxy (plain requests and CONNECT) and as a SOCKS5 proxy, and
+ * forwards every client connection through one of the working upstreams of a check() result.
+ * UpstreamPool picks the upstream and drops the ones that keep failing.
+ */
+
+export const GATEWAY_STRATEGIES = ["round-robin", "random", "fastest", "sticky"];
+export const DEFAULT_MAX_FAILURES = 3;
+
+const MAX_STICKY_HOSTS = 10000;
+
+// Tunnel errors caused by the target rather than the upstream; they do not count against it
+const TARGET_ERROR_RE = /SOCKS5 connect failed: (network unreachable|host unreachable|connection refused|TTL expired)|HTTP CONNECT failed: \S+ 50[234]/;
+
+// Hop-by-hop headers a proxy must not forward
+const HOP_HEADERS = ["connection", "keep-alive", "proxy-connection", "proxy-authorization", "te", "trailer", "transfer-encoding", "upgrade"];
+
+/**
+ * Working entries of a check() result, a result entry array, or a ResultSet
+ */
+function workingEntries(source) {
+  const entries = Array.isArray(source) ? source : source?.toArray ? source.toArray() : source?.proxies || [];
+  return entries.filter(entry => entry.status === undefined || entry.status === "working");
+}
+
+function toUpstream(entry) {
+  const p = entry.proxy;
+  const proxy = {
+    protocol: entry.protocol || "http",
+    host: p.host,
+    port: Number(p.port),
+    username: p.username || undefined,
+    password: p.username ? p.password ?? undefined : undefined,
+  };
+  return {
+    key: proxyKey(entry),
+    name: formatProxy(proxy),
+    proxy,
+    country: entry.country ?? null,
+    labels: entry.labels,
+    latency: Number.isFinite(latency(entry)) ? latency(entry) : null,
+    requests: 0,
+    failures: 0,
+    totalFailures: 0,
+    active: 0,
+    bytesIn: 0,
+    bytesOut: 0,
+    removed: false,
+    lastError: null,
+  };
+}
+
+/**
+ * UpstreamPool
+ * Upstream proxies with their counters, and the strategy that picks one per connection.
+ *
+ * Strategies:
+ *   - round-robin   each connection takes the next upstream
+ *   - random        any upstream
+ *   - fastest       the lowest response time from the check
+ *   - sticky        the same upstream for every connection to the same target host
+ *
+ * An upstream that fails `maxFailures` times in a row is removed until the next update().
+ */
+export class UpstreamPool {
+  /**
+   * @param {Object|Array} source - check() result, result entries or a ResultSet; working entries are used
+   * @param {Object} [options]
+   * @param {string} [options.strategy=round-robin] - One of GATEWAY_STRATEGIES
+   * @param {number} [options.maxFailures=3] - Consecutive failures before an upstream is removed
+   */
+  constructor(source, { strategy = "round-robin", maxFailures = DEFAULT_MAX_FAILURES } = {}) {
+    if (!GATEWAY_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown strategy: ${strategy}. Use ${GATEWAY_STRATEGIES.join(", ")}`);
+    }
+    this.strategy = strategy;
+    this.maxFailures = maxFailures;
+    this.upstreams = [];
+    this._next = 0;
+    this._sticky = new Map();
+    this.update(source);
+  }
+
+  /**
+   * Replace the upstreams, e.g. after a new check; upstreams already known keep their counters
+   * and come back if they had been removed
+   * @param {Object|Array} source - Same as the constructor
+   */
+  update(source) {
+    const known = new Map(this.upstreams.map(u => [u.key, u]));
+    this.upstreams = workingEntries(source).map(entry => {
+      const fresh = toUpstream(entry);
+      const old = known.get(fresh.key);
+      // Update in place: open connections still hold the old object
+      if (!old) return fresh;
+      const { proxy, name, country, labels, latency: ms } = fresh;
+      return Object.assign(old, { proxy, name, country, labels, latency: ms, failures: 0, removed: false });
+    });
+    this._sticky.clear();
+  }
+
+  /** Upstreams that have not been removed */
+  get alive() {
+    return this.upstreams.filter(u => !u.removed);
+  }
+
+  /**
+   * Upstream for the next connection
+   * @param {string} [host] - Target host, used by the sticky strategy
+   * @param {Set} [exclude] - Upstreams already tried for this connection
+   * @returns {Object|null} Upstream, or null when none is left
+   */
+  pick(host, exclude = new Set()) {
+    const candidates = this.alive.filter(u => !exclude.has(u));
+    if (!candidates.length) return null;
+
+    if (this.strategy === "random") {
+      return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+    if (this.strategy === "fastest") {
+      return candidates.reduce((best, u) => ((u.latency ?? Infinity) < (best.latency ?? Infinity) ? u : best));
+    }
+    if (this.strategy === "sticky" && host) {
+      const bound = candidates.find(u => u.key === this._sticky.get(host));
+      if (bound) return bound;
+    }
+
+    const upstream = candidates[this._next++ % candidates.length];
+    if (this.strategy === "sticky" && host) {
+      if (this._sticky.size >= MAX_STICKY_HOSTS) this._sticky.delete(this._sticky.keys().next().value);
+      this._sticky.set(host, upstream.key);
+    }
+    return upstream;
+  }
+
+  /** A connection through the upstream was set up */
+  success(upstream) {
+    upstream.failures = 0;
+  }
+
+  /**
+   * A connection through the upstream failed
+   * @returns {boolean} Whether this failure removed the upstream
+   */
+  failure(upstream, err) {
+    upstream.failures++;
+    upstream.totalFailures++;
+    upstream.lastError = err.message;
+    if (!upstream.removed && upstream.failures >= this.maxFailures) {
+      upstream.removed = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Connect to a target through the next upstreams until one succeeds
+   * Failures caused by the target itself (refused, unreachable) are thrown at once and do not
+   * count against the upstream.
+   * @param {string} host - Target host
+   * @param {number} port - Target port
+   * @param {Object} [options]
+   * @param {number} [options.attempts=3] - Upstreams to try
+   * @param {number} [options.timeout=10000] - Connect and handshake timeout per upstream in milliseconds
+   * @param {boolean} [options.direct=false] - Connect to HTTP upstreams without a tunnel, for
+   *   requests forwarded in absolute form
+   * @param {Object} [options.tls] - Start TLS to the target with these tls.connect() options; a
+   *   failed handshake counts against the upstream and the next one is tried
+   * @param {Function} [options.onFailure] - `(upstream, error, removed)` after every failed upstream
+   * @returns {Promise<Object>} `{ upstream, socket, direct }`; `direct` when the socket goes to the upstream itself
+   * @throws {Error} The last error, when every upstream tried failed or none is left
+   */
+  async open(host, port, { attempts = 3, timeout = 10000, direct = false, tls: tlsOptions, onFailure } = {}) {
+    const tried = new Set();
+    let lastError;
+    while (tried.size < Math.max(1, attempts)) {
+      const upstream = this.pick(host, tried);
+      if (!upstream) break;
+      tried.add(upstream);
+      const plain = direct && upstream.proxy.protocol === "http";
+      try {
+        const tunnel = plain
+          ? await connectDirect(upstream.proxy, timeout)
+          : await openTunnel(upstream.proxy, host, port, { timeout });
+        const socket = tlsOptions ? await startTls(tunnel, host, tlsOptions, timeout) : tunnel;
+        this.success(upstream);
+        return { upstream, socket, direct: plain };
+      } catch (err) {
+        lastError = err;
+        if (TARGET_ERROR_RE.test(err.message)) throw err;
+        onFailure?.(upstream, err, this.failure(upstream, err));
+      }
+    }
+    throw lastError || new Error("No working upstream proxies left");
+  }
+
+  /**
+   * Counters for the stats endpoint
+   * @returns {Object} `{ strategy, total, alive, removed, upstreams: [...] }`
+   */
+  stats() {
+    return {
+      strategy: this.strategy,
+      total: this.upstreams.length,
+      alive: this.alive.length,
+      removed: this.upstreams.length - this.alive.length,
+      upstreams: this.upstreams.map(u => ({
+        proxy: u.name,
+        country: u.country,
+        ...(u.labels ? { labels: u.labels } : {}),
+        latency: u.latency,
+        requests: u.requests,
+        failures: u.totalFailures,
+        active: u.active,
+        bytesIn: u.bytesIn,
+        bytesOut: u.bytesOut,
+        removed: u.removed,
+        lastError: u.lastError,
+      })),
+    };
+  }
+}
+
+/**
+ * Plain TCP connection to an HTTP upstream, for requests forwarded in absolute form
+ */
+async function connectDirect(proxy, timeout) {
+  const socket = net.connect({ host: proxy.host, port: proxy.port });
+  const timer = setTimeout(() => socket.destroy(new Error(`Proxy connect timed out after ${timeout}ms`)), timeout);
+  try {
+    await once(socket, "connect");
+    return socket;
+  } catch (err) {
+    socket.destroy();
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * TLS to the target over an open tunnel; the tunnel is closed when the handshake fails
+ */
+async function startTls(socket, host, options, timeout) {
+  const secure = tls.connect({
+    ...options,
+    socket,
+    servername: options.servername || (net.isIP(host) ? undefined : host),
+  });
+  const timer = setTimeout(() => secure.destroy(new Error(`TLS handshake timed out after ${timeout}ms`)), timeout);
+  try {
+    await once(secure, "secureConnect");
+    return secure;
+  } catch (err) {
+    socket.destroy();
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * `host:port` of a CONNECT request, IPv6 in brackets
+ */
+function splitTarget(target) {
+  const match = /^\[?([^\]]+?)\]?:(\d+)$/.exec(target);
+  if (!match) throw new Error(`Invalid CONNECT target: ${target}`);
+  return { host: match[1], port: Number(match[2]) };
+}
+
+/**
+ * ProxyGateway
+ * Local rotating proxy in front of an UpstreamPool.
+ *
+ * The HTTP listener also answers `GET /stats` (a request without a proxy URL) with the pool
+ * counters as JSON.
+ *
+ * Events:
+ *   - tunnel   `{ via, target, upstream }` a client connection was forwarded; `via` is http, connect or socks5
+ *   - failure  `{ target, upstream, error, removed }` an upstream failed; `removed` when it was dropped
+ *   - refused  `{ via, target, error }` a client connection failed on every upstream tried
+ *
+ * @example
+ * const gateway = new ProxyGateway(await client.check('proxies.txt'), { strategy: 'sticky', port: 8888 });
+ * await gateway.listen();   // HTTP on 8888, SOCKS5 on 8889
+ * // curl -x http://127.0.0.1:8888 https://example.com
+ * // curl http://127.0.0.1:8888/stats
+ */
+export class ProxyGateway extends EventEmitter {
+  /**
+   * @param {Object|Array|UpstreamPool} source - check() result, result entries, a ResultSet or an UpstreamPool
+   * @param {Object} [options]
+   * @param {string} [options.host=127.0.0.1] - Address to listen on
+   * @param {number} [options.port=8888] - HTTP proxy port (0 picks a free port)
+   * @param {number|null} [options.socksPort] - SOCKS5 port (default: port + 1; null disables it)
+   * @param {string} [options.strategy=round-robin] - One of GATEWAY_STRATEGIES
+   * @param {number} [options.maxFailures=3] - Consecutive failures before an upstream is removed
+   * @param {number} [options.timeout=10000] - Upstream connect and handshake timeout in milliseconds
+   * @param {number} [options.attempts=3] - Upstreams tried per client connection
+   */
+  constructor(source, options = {}) {
+    super();
+    const { host = "127.0.0.1", port = 8888, socksPort, strategy, maxFailures, timeout = 10000, attempts = 3 } = options;
+    this.pool = source instanceof UpstreamPool ? source : new UpstreamPool(source, { strategy, maxFailures });
+    this.host = host;
+    this.port = Number(port);
+    this.socksPort = socksPort === null ? null : socksPort !== undefined ? Number(socksPort) : this.port ? this.port + 1 : 0;
+    this.timeout = timeout;
+    this.attempts = Math.max(1, attempts);
+    this.counters = { connections: 0, refused: 0, startedAt: null };
+    this._sockets = new Set();
+
+    this.httpServer = http.createServer((req, res) => this._request(req, res));
+    this.httpServer.on("connect", (req, socket, head) => this._connectRequest(req, socket, head));
+    this.socksServer = this.socksPort === null ? null : net.createServer(socket => this._socks(socket));
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Object>} `{ http: { host, port }, socks: { host, port } | null }`
+   */
+  async listen() {
+    const start = async server => {
+      server.on("connection", socket => {
+        this._sockets.add(socket);
+        socket.once("close", () => this._sockets.delete(socket));
+      });
+      server.listen(server === this.httpServer ? this.port : this.socksPort, this.host);
+      await once(server, "listening");
+      return { host: this.host, port: server.address().port };
+    };
+    const addresses = { http: await start(this.httpServer), socks: this.socksServer ? await start(this.socksServer) : null };
+    this.counters.startedAt = new Date();
+    return addresses;
+  }
+
+  /**
+   * Stop listening and close every open connection
+   */
+  async close() {
+    const servers = [this.httpServer, this.socksServer].filter(s => s?.listening);
+    this._sockets.forEach(socket => socket.destroy());
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+  }
+
+  /**
+   * Gateway and upstream counters, as served on /stats
+   */
+  stats() {
+    return {
+      startedAt: this.counters.startedAt?.toISOString() ?? null,
+      connections: this.counters.connections,
+      refused: this.counters.refused,
+      active: this.pool.upstreams.reduce((sum, u) => sum + u.active, 0),
+      ...this.pool.stats(),
+    };
+  }
+
+  /**
+   * Open a connection to the target through the pool, trying up to `attempts` upstreams
+   * @private
+   */
+  _open(host, port, { direct = false } = {}) {
+    return this.pool.open(host, port, {
+      attempts: this.attempts,
+      timeout: this.timeout,
+      direct,
+      onFailure: (upstream, error, removed) => this.emit("failure", { target: `${host}:${port}`, upstream, error, removed }),
+    });
+  }
+
+  /**
+   * Count the connection on its upstream until either side closes
+   * `client` is null for forwarded HTTP requests, whose client socket the HTTP server manages.
+   * @private
+   */
+  _track(upstream, client, socket) {
+    upstream.requests++;
+    upstream.active++;
+    this.counters.connections++;
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      upstream.active--;
+      upstream.bytesIn += socket.bytesRead;
+      upstream.bytesOut += socket.bytesWritten;
+      client?.destroy();
+      socket.destroy();
+    };
+    for (const s of [client, socket].filter(Boolean)) {
+      s.on("error", finish);
+      s.on("close", finish);
+    }
+  }
+
+  _refuse(via, target, err) {
+    this.counters.refused++;
+    this.emit("refused", { via, target, error: err });
+  }
+
+  async _connectRequest(req, client, head) {
+    // The client may reset while the upstream is still connecting; an unhandled error would end serve
+    client.on("error", () => client.destroy());
+    let target;
+    try {
+      target = splitTarget(req.url);
+      const { upstream, socket } = await this._open(target.host, target.port);
+      if (client.destroyed) {
+        socket.destroy();
+        return;
+      }
+      client.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+      if (head?.length) socket.write(head);
+      this._track(upstream, client, socket);
+      socket.pipe(client);
+      client.pipe(socket);
+      this.emit("tunnel", { via: "connect", target: req.url, upstream });
+    } catch (err) {
+      this._refuse("connect", req.url, err);
+      if (!client.destroyed) client.end(`HTTP/1.1 502 Bad Gateway\r\nContent-Type: text/plain\r\n\r\n${err.message}\n`);
+    }
+  }
+
+  async _request(req, res) {
+    // A request without a proxy URL is meant for the gateway itself
+    if (req.url.startsWith("/")) {
+      if (req.method === "GET" && req.url.split("?")[0] === "/stats") {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(this.stats(), null, 2));
+      } else {
+        res.writeHead(404, { "Content-Type": "text/plain" });
+        res.end("Not found. This is a proxy; GET /stats shows its counters.\n");
+      }
+      return;
+    }
+
+    let url;
+    try {
+      url = new URL(req.url);
+      if (url.protocol !== "http:") throw new Error(`Only http:// URLs can be forwarded without CONNECT, got ${url.protocol}`);
+    } catch (err) {
+      res.writeHead(400, { "Content-Type": "text/plain" });
+      res.end(`${err.message}\n`);
+      return;
+    }
+
+    const port = Number(url.port) || 80;
+    req.on("error", () => res.destroy());
+    try {
+      const { upstream, socket, direct } = await this._open(url.hostname, port, { direct: true });
+      if (res.destroyed || req.socket.destroyed) {
+        socket.destroy();
+        return;
+      }
+      const headers = Object.fromEntries(Object.entries(req.headers).filter(([name]) => !HOP_HEADERS.includes(name)));
+      if (direct && upstream.proxy.username) {
+        const token = Buffer.from(`${upstream.proxy.username}:${upstream.proxy.password || ""}`).toString("base64");
+        headers["proxy-authorization"] = `Basic ${token}`;
+      }
+      headers.connection = "close";
+
+      const forward = http.request({
+        method: req.method,
+        // HTTP upstreams take the absolute URL; through a tunnel the target gets the path
+        path: direct ? url.href : `${url.pathname}${url.search}`,
+        headers,
+        setHost: false,
+        createConnection: () => socket,
+      });
+      this._track(upstream, null, socket);
+      // A client that goes away mid-request takes the upstream connection with it
+      res.on("close", () => {
+        if (!res.writableFinished) socket.destroy();
+      });
+      forward.on("response", response => {
+        res.writeHead(response.statusCode, response.statusMessage, response.headers);
+        response.pipe(res);
+      });
+      forward.on("error", err => {
+        if (!res.headersSent) res.writeHead(502, { "Content-Type": "text/plain" });
+        res.end(`${err.message}\n`);
+      });
+      req.pipe(forward);
+      this.emit("tunnel", { via: "http", target: `${url.hostname}:${port}`, upstream });
+    } catch (err) {
+      this._refuse("http", `${url.hostname}:${port}`, err);
+      if (res.destroyed) return;
+      res.writeHead(502, { "Content-Type": "text/plain" });
+      res.end(`${err.message}\n`);
+    }
+  }
+
+  async _socks(client) {
+    const reader = new SocketReader(client);
+    let target;
+    try {
+      const [version, count] = await reader.read(2);
+      if (version !== 0x05) throw new Error("Not a SOCKS5 client");
+      const methods = await reader.read(count);
+      if (!methods.includes(0x00)) {
+        client.end(Buffer.from([0x05, 0xff]));
+        return;
+      }
+      client.write(Buffer.from([0x05, 0x00]));
+
+      const [, command, , type] = await reader.read(4);
+      let host;
+      if (type === 0x01) {
+        host = [...(await reader.read(4))].join(".");
+      } else if (type === 0x03) {
+        const [length] = await reader.read(1);
+        host = (await reader.read(length)).toString();
+      } else if (type === 0x04) {
+        const bytes = await reader.read(16);
+        host = Array.from({ length: 8 }, (_, i) => bytes.readUInt16BE(i * 2).toString(16)).join(":");
+      } else {
+        client.end(Buffer.from([0x05, 0x08, 0x00, 0x01, 0, 0, 0, 0, 0, 0]));
+        return;
+      }
+      const port = (await reader.read(2)).readUInt16BE(0);
+      target = `${host}:${port}`;
+      if (command !== 0x01) {
+        client.end(Buffer.from([0x05, 0x07, 0x00, 0x01, 0, 0, 0, 0, 0, 0]));
+        return;
+      }
+
+      let opened;
+      try {
+        opened = await this._open(host, port);
+      } catch (err) {
+        if (client.destroyed) return;
+        this._refuse("socks5", target, err);
+        const code = TARGET_ERROR_RE.test(err.message) ? 0x05 : 0x01;
+        client.end(Buffer.from([0x05, code, 0x00, 0x01, 0, 0, 0, 0, 0, 0]));
+        return;
+      }
+      if (client.destroyed) {
+        opened.socket.destroy();
+        return;
+      }
+      client.write(Buffer.from([0x05, 0x00, 0x00, 0x01, 0, 0, 0, 0, 0, 0]));
+      reader.release();
+      this._track(opened.upstream, client, opened.socket);
+      opened.socket.pipe(client);
+      client.pipe(opened.socket);
+      this.emit("tunnel", { via: "socks5", target, upstream: opened.upstream });
+    } catch {
+      // The client hung up or spoke something else during the handshake
+      client.destroy();
+    }
+  }
+}
@@ -0,0 +1,331 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseProxyString, parseDuration } from "./utils.js";
+import { proxyKey } from "./results.js";
+import { csvCell } from "./exporters.js";
+
+export const DEFAULT_HISTORY_DIR = path.join(os.homedir(), ".clearproxy", "history");
+// Each verdict takes about 36 bytes: 10,000 proxies every 15 minutes is ~35 MB a day
+export const DEFAULT_RETENTION = "30d";
+export const HISTORY_FORMATS = ["json", "csv", "txt"];
+export const HISTORY_SORT_KEYS = ["uptime", "checks", "latency", "trend", "flaps", "last_working", "proxy"];
+
+/**
+ * Start of a query window: a Date, an ISO date, or a duration back from now (`7d`, `12h`)
+ */
+function sinceTime(since) {
+  if (since === undefined || since === null) return 0;
+  if (since instanceof Date) return since.getTime();
+  if (typeof since === "string" && /^\d{4}-\d{2}-\d{2}/.test(since)) {
+    const time = Date.parse(since);
+    if (Number.isNaN(time)) throw new Error(`Invalid date: ${since}`);
+    return time;
+  }
+  return Date.now() - parseDuration(since);
+}
+
+function dayFile(time) {
+  return `${new Date(time).toISOString().slice(0, 10)}.ndjson`;
+}
+
+function average(values) {
+  return values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+}
+
+/**
+ * Statistics of one proxy from its verdicts, oldest first
+ */
+function proxyStats(key, checks) {
+  const working = checks.filter(c => c.working);
+  const times = working.map(c => c.responseTime).filter(Number.isFinite);
+  const half = Math.floor(times.length / 2);
+
+  // Flaps are counted per region, so alternating regions do not read as a flapping proxy
+  let flaps = 0;
+  const lastByRegion = new Map();
+  for (const check of checks) {
+    const region = check.region ?? "";
+    if (lastByRegion.has(region) && lastByRegion.get(region) !== check.working) flaps++;
+    lastByRegion.set(region, check.working);
+  }
+
+  const last = checks[checks.length - 1];
+  return {
+    proxy: last.protocol ? `${last.protocol}://${key}` : key,
+    key,
+    protocol: last.protocol,
+    checks: checks.length,
+    working: working.length,
+    uptime: Number(((working.length / checks.length) * 100).toFixed(2)),
+    firstSeen: checks[0].at,
+    lastSeen: last.at,
+    firstWorking: working[0]?.at ?? null,
+    lastWorking: working[working.length - 1]?.at ?? null,
+    lastStatus: last.working ? "working" : "failed",
+    flaps,
+    latency: {
+      avg: average(times),
+      min: times.length ? Math.min(...times) : null,
+      max: times.length ? Math.max(...times) : null,
+      last: times.length ? times[times.length - 1] : null,
+      // Newer half minus older half of the working checks; positive means slower
+      trend: times.length >= 4 ? average(times.slice(times.length - half)) - average(times.slice(0, half)) : null,
+    },
+    regions: [...lastByRegion.keys()].filter(Boolean),
+  };
+}
+
+function sortStats(stats, sort) {
+  const desc = sort.startsWith("-");
+  const key = sort.replace(/^-/, "");
+  if (!HISTORY_SORT_KEYS.includes(key)) {
+    throw new Error(`Unknown sort key: ${key}. Use ${HISTORY_SORT_KEYS.join(", ")}`);
+  }
+  const value = s => {
+    if (key === "latency") return s.latency.avg;
+    if (key === "trend") return s.latency.trend;
+    if (key === "last_working") return s.lastWorking;
+    return s[key];
+  };
+  // Missing values sort last in both directions
+  return [...stats].sort((a, b) => {
+    const x = value(a);
+    const y = value(b);
+    if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+    if (y === null || y === undefined) return -1;
+    const order = x < y ? -1 : x > y ? 1 : 0;
+    return desc ? -order : order;
+  });
+}
+
+/**
+ * HistoryStore
+ * Local record of every proxy verdict, so uptime, latency trend and flapping can be computed
+ * across checks. Give it to the client (`new ClearProxy(key, { history })`) or the LocalChecker
+ * to record every result.
+ *
+ * One NDJSON file per UTC day (`2026-10-19.ndjson`); each line is one check:
+ *   { at, jobId, region, source, proxies: [[key, protocol, working, responseTime], ...] }
+ * `key` is proxyKey(): host, port and credentials. Files are created with mode 0600, since
+ * keys carry proxy passwords. Day files older than `retention` are deleted whenever a new day
+ * file is started.
+ *
+ * @example
+ * const history = new HistoryStore();
+ * history.stats({ since: '7d', sort: '-uptime' });          // per-proxy uptime, latency, flaps
+ * const stable = history.select({ since: '7d', minUptime: 90 });
+ * await client.check(stable);
+ */
+export class HistoryStore {
+  /**
+   * @param {string} [dir] - History directory (default: ~/.clearproxy/history)
+   * @param {Object} [options]
+   * @param {string|number|null} [options.retention=30d] - Age after which day files are deleted; null keeps them all
+   */
+  constructor(dir = DEFAULT_HISTORY_DIR, { retention = DEFAULT_RETENTION } = {}) {
+    this.dir = dir;
+    this.retention = retention ? parseDuration(retention) : null;
+  }
+
+  /**
+   * Append the verdicts of a check() result
+   * @param {Object} result - check() result
+   * @param {Object} [meta]
+   * @param {string} [meta.jobId]
+   * @param {string} [meta.region] - Region the check ran from (default: metadata.region_used)
+   * @param {string} [meta.source=api] - `api` or `local`
+   * @param {Date} [meta.at=now]
+   * @returns {Object|null} The stored line, or null when the result had no proxies
+   * @throws {Error} When the history directory cannot be written (EACCES, ENOSPC)
+   */
+  record(result, { jobId, region, source = "api", at = new Date() } = {}) {
+    const proxies = (result?.proxies || []).map(entry => [
+      proxyKey(entry),
+      entry.protocol ?? null,
+      entry.status === "working" ? 1 : 0,
+      Number.isFinite(entry.responseTime) ? entry.responseTime : null,
+    ]);
+    if (!proxies.length) return null;
+
+    const run = {
+      at: at.toISOString(),
+      jobId: jobId ?? null,
+      region: region ?? result.metadata?.region_used ?? null,
+      source,
+      proxies,
+    };
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    const file = path.join(this.dir, dayFile(at));
+    const newDay = !fs.existsSync(file);
+    // One append per check keeps every line whole when several processes record at once
+    fs.appendFileSync(file, JSON.stringify(run) + "\n", { mode: 0o600 });
+    if (newDay && this.retention) this.prune(this.retention);
+    return run;
+  }
+
+  _files() {
+    try {
+      return fs.readdirSync(this.dir).filter(f => /^\d{4}-\d{2}-\d{2}\.ndjson$/.test(f)).sort();
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Stored checks, oldest first
+   * @param {Object} [options]
+   * @param {string|Date} [options.since] - `7d`, `12h`, an ISO date or a Date (default: everything)
+   * @param {string|Date} [options.until] - Same forms; default now
+   * @param {string} [options.region] - Only checks from this region
+   * @returns {Array<Object>} Lines as written by record()
+   */
+  runs({ since, until, region } = {}) {
+    const from = sinceTime(since);
+    const to = until !== undefined ? sinceTime(until) : Infinity;
+    const firstDay = dayFile(from);
+    const runs = [];
+    for (const file of this._files()) {
+      if (file < firstDay) continue;
+      const content = fs.readFileSync(path.join(this.dir, file), "utf8");
+      for (const line of content.split("\n")) {
+        if (!line.trim()) continue;
+        let run;
+        try {
+          run = JSON.parse(line);
+        } catch {
+          continue; // a line cut short by a crash
+        }
+        const time = Date.parse(run.at);
+        if (time < from || time > to) continue;
+        if (region && run.region !== region) continue;
+        runs.push(run);
+      }
+    }
+    return runs.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+  }
+
+  /**
+   * Verdicts of one proxy, oldest first
+   * @param {string} proxy - Proxy string in any input format
+   * @param {Object} [options] - Same as runs()
+   * @returns {Array<Object>} `{ at, region, jobId, protocol, status, responseTime }`
+   */
+  timeline(proxy, options = {}) {
+    const parsed = parseProxyString(proxy);
+    if (!parsed) throw new Error(`Invalid proxy: ${proxy}`);
+    const key = proxyKey(parsed);
+    return this.runs(options).flatMap(run => run.proxies
+      .filter(([k]) => k === key)
+      .map(([, protocol, working, responseTime]) => ({
+        at: run.at,
+        region: run.region,
+        jobId: run.jobId,
+        protocol,
+        status: working ? "working" : "failed",
+        responseTime,
+      })));
+  }
+
+  /**
+   * Per-proxy statistics
+   * @param {Object} [options]
+   * @param {string|Date} [options.since=7d] - Window start (see runs())
+   * @param {string|Date} [options.until]
+   * @param {string} [options.region] - Only checks from this region
+   * @param {Array<string>} [options.proxies] - Only these proxies (any input format)
+   * @param {number} [options.minUptime] - Only proxies with at least this uptime (0-100)
+   * @param {number} [options.minChecks] - Only proxies checked at least this many times
+   * @param {string} [options.sort] - uptime, checks, latency, trend, flaps, last_working or proxy; prefix - to reverse
+   * @returns {Array<Object>} `{ proxy, key, protocol, checks, working, uptime, firstSeen, lastSeen,
+   *   firstWorking, lastWorking, lastStatus, flaps, latency: { avg, min, max, last, trend }, regions }`
+   */
+  stats({ since = "7d", until, region, proxies, minUptime, minChecks, sort } = {}) {
+    const wanted = proxies ? new Set(proxies.map(p => parseProxyString(p)).filter(Boolean).map(proxyKey)) : null;
+    const byKey = new Map();
+    for (const run of this.runs({ since, until, region })) {
+      for (const [key, protocol, working, responseTime] of run.proxies) {
+        if (wanted && !wanted.has(key)) continue;
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push({ at: run.at, region: run.region, protocol, working: Boolean(working), responseTime });
+      }
+    }
+
+    let stats = [...byKey].map(([key, checks]) => proxyStats(key, checks));
+    if (minUptime !== undefined) stats = stats.filter(s => s.uptime >= Number(minUptime));
+    if (minChecks !== undefined) stats = stats.filter(s => s.checks >= Number(minChecks));
+    return sort ? sortStats(stats, sort) : stats;
+  }
+
+  /**
+   * Proxies that meet the given history criteria, ready to pass to check()
+   * With `proxies`, returns those of them that qualify, in their original form; otherwise every
+   * qualifying proxy from the history, with its last protocol.
+   * @param {Object} [options] - Same as stats()
+   * @returns {Array<string>}
+   */
+  select(options = {}) {
+    const stats = this.stats(options);
+    if (!options.proxies) return stats.map(s => s.proxy);
+    const keep = new Set(stats.map(s => s.key));
+    return options.proxies.filter(p => {
+      const parsed = parseProxyString(p);
+      return parsed && keep.has(proxyKey(parsed));
+    });
+  }
+
+  /**
+   * Delete the day files older than a duration
+   * @param {string|number} olderThan - `30d`, `12h` or milliseconds
+   * @returns {number} Files removed
+   */
+  prune(olderThan) {
+    const cutoff = dayFile(Date.now() - parseDuration(olderThan));
+    const old = this._files().filter(file => file < cutoff);
+    old.forEach(file => fs.unlinkSync(path.join(this.dir, file)));
+    return old.length;
+  }
+}
+
+/**
+ * Record a result in a history store, if there is one, without ever failing the check
+ * A write error (EACCES, ENOSPC) is kept on the result as `history_error` instead.
+ * @param {HistoryStore|null} history
+ * @param {Object} result - check() result
+ * @param {Object} [meta] - See HistoryStore#record()
+ * @returns {Object} The result
+ */
+export function recordHistory(history, result, meta) {
+  try {
+    history?.record(result, meta);
+  } catch (err) {
+    result.history_error = `History not recorded: ${err.message}`;
+  }
+  return result;
+}
+
+const CSV_COLUMNS = [
+  "proxy", "uptime", "checks", "working", "flaps", "latency_avg", "latency_min", "latency_max", "latency_trend",
+  "first_seen", "last_seen", "first_working", "last_working", "last_status", "regions",
+];
+
+/**
+ * Format stats() output
+ * txt writes one proxy per line, so the file can be checked again.
+ * @param {Array<Object>} stats - From HistoryStore#stats()
+ * @param {string} format - json, csv or txt
+ * @returns {string}
+ */
+export function formatHistory(stats, format) {
+  if (format === "json") return JSON.stringify(stats, null, 2);
+  if (format === "txt") return stats.map(s => s.proxy).join("\n");
+  if (format === "csv") {
+    const rows = stats.map(s => [
+      s.proxy, s.uptime, s.checks, s.working, s.flaps,
+      s.latency.avg, s.latency.min, s.latency.max, s.latency.trend,
+      s.firstSeen, s.lastSeen, s.firstWorking, s.lastWorking, s.lastStatus, s.regions,
+    ].map(csvCell).join(","));
+    return [CSV_COLUMNS.join(","), ...rows].join("\n");
+  }
+  throw new Error(`Unsupported history format: ${format}. Use ${HISTORY_FORMATS.join(", ")}`);
+}
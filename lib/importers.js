@@ -0,0 +1,204 @@
+import path from "path";
+import yaml from "js-yaml";
+import { parse as parseCSV } from "csv-parse/sync";
+
+/**
+ * Importers for proxy lists
+ *
+ * Each importer turns file content into raw entries `{ line, value }`, where `value` is a proxy
+ * line or a record using FIELD_ALIASES; utils.parseProxyList() validates them.
+ * `line` is the line number for line-based formats and the entry number otherwise.
+ *
+ * Formats:
+ *   - txt           one proxy per line
+ *   - json          array of lines/records, or `{ proxies: [...] }`
+ *   - csv           with a header using FIELD_ALIASES, or host,port[,user,pass] rows
+ *   - clash         Clash / Mihomo config (`proxies:` list)
+ *   - proxychains   proxychains.conf `[ProxyList]` section
+ *   - switchyomega  SwitchyOmega options backup (.bak / .json)
+ *   - base64        base64-encoded subscription of proxy URLs
+ */
+
+export const INPUT_FORMATS = ["txt", "json", "csv", "clash", "proxychains", "switchyomega", "base64"];
+
+// Column names accepted for each field in CSV and JSON records
+export const FIELD_ALIASES = {
+  host: ["host", "ip", "address", "server", "hostname", "proxy_host", "proxy_ip"],
+  port: ["port", "proxy_port"],
+  username: ["username", "user", "login", "proxy_user", "proxy_username"],
+  password: ["password", "pass", "pwd", "proxy_pass", "proxy_password"],
+  protocol: ["protocol", "scheme", "type", "proxy_type"],
+  line: ["proxy", "url", "line", "proxy_url"],
+};
+
+const PROXYCHAINS_LINE_RE = /^(http|socks4|socks5|raw)\s+\S+\s+\d+(\s|$)/i;
+
+function isSwitchyOmega(json) {
+  return Boolean(json) && !Array.isArray(json) && typeof json === "object" &&
+    ("schemaVersion" in json || Object.keys(json).some(k => k.startsWith("+") && json[k]?.profileType));
+}
+
+/**
+ * Decode a base64 subscription, or return null when the content is not one
+ */
+function decodeSubscription(text) {
+  const compact = text.replace(/\s+/g, "");
+  if (compact.length < 16 || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(compact)) return null;
+  const decoded = Buffer.from(compact.replace(/-/g, "+").replace(/_/g, "/"), "base64").toString("utf8");
+  // Every decoded line must be printable and look like host:port or a URL
+  const lines = decoded.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (!lines.length || /[\u0000-\u0008\u000e-\u001f�]/.test(decoded)) return null;
+  return lines.every(l => l.includes(":")) ? decoded : null;
+}
+
+function looksLikeCsv(text) {
+  const first = text.split(/\r?\n/).find(l => l.trim() && !l.trim().startsWith("#"));
+  if (!first || !first.includes(",")) return false;
+  const cols = first.split(",").map(c => c.trim().toLowerCase());
+  const known = Object.values(FIELD_ALIASES).flat();
+  return cols.some(c => known.includes(c)) || (cols.length >= 2 && /^\d{1,5}$/.test(cols[1]));
+}
+
+/**
+ * Detect the format of a proxy list from its content, using the file name as a tie-breaker
+ * @param {string} content - File content
+ * @param {string} [filePath] - File name
+ * @returns {string} One of INPUT_FORMATS
+ */
+export function detectInputFormat(content, filePath = "") {
+  const text = content.trim();
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (text.startsWith("{") || text.startsWith("[")) {
+    try {
+      return isSwitchyOmega(JSON.parse(text)) ? "switchyomega" : "json";
+    } catch {
+      if (ext === ".json") return "json";
+    }
+  }
+  if (/^\s*\[ProxyList\]\s*$/im.test(text)) return "proxychains";
+  if (/^proxies:/m.test(text)) return "clash";
+  if (decodeSubscription(text)) return "base64";
+  if (ext === ".csv") return "csv";
+  if (ext === ".json" || ext === ".bak") return "json";
+  if (ext === ".yaml" || ext === ".yml") return "clash";
+  if (ext === ".txt") return "txt";
+  if (looksLikeCsv(text)) return "csv";
+  const lines = text.split(/\r?\n/).filter(l => l.trim() && !l.trim().startsWith("#"));
+  if (lines.length && lines.every(l => PROXYCHAINS_LINE_RE.test(l.trim()))) return "proxychains";
+  return "txt";
+}
+
+function toLines(text) {
+  return text.split(/\r?\n/).map((value, idx) => ({ line: idx + 1, value }));
+}
+
+function readJson(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Failed to parse JSON: ${err.message}`);
+  }
+  const list = Array.isArray(json) ? json : json.proxies;
+  if (!Array.isArray(list)) throw new Error("Failed to parse JSON: Invalid JSON proxy format");
+  return list.map((value, idx) => ({ line: idx + 1, value }));
+}
+
+function readCsv(text) {
+  let rows;
+  try {
+    rows = parseCSV(text, { skip_empty_lines: true, relax_column_count: true, trim: true });
+  } catch (err) {
+    throw new Error(`Failed to parse CSV: ${err.message}`);
+  }
+  if (!rows.length) return [];
+  const header = rows[0].map(h => h.toLowerCase());
+  const known = Object.values(FIELD_ALIASES).flat();
+  if (header.some(h => known.includes(h))) {
+    return rows.slice(1).map((row, idx) => ({
+      line: idx + 2,
+      value: Object.fromEntries(rows[0].map((h, i) => [h, row[i]])),
+    }));
+  }
+  // No header: host,port[,user,pass] or one proxy per row
+  return rows.map((row, idx) => ({
+    line: idx + 1,
+    value: row.length === 1 ? row[0] : Object.fromEntries(["host", "port", "username", "password"].map((h, i) => [h, row[i]])),
+  }));
+}
+
+// Clash entries already use `server`, `port`, `type`, `username`, `password`, which are FIELD_ALIASES
+function readClash(text) {
+  let doc;
+  try {
+    doc = yaml.load(text);
+  } catch (err) {
+    throw new Error(`Failed to parse Clash YAML: ${err.message}`);
+  }
+  if (!Array.isArray(doc?.proxies)) throw new Error("Failed to parse Clash YAML: no 'proxies' list");
+  return doc.proxies.map((p, idx) => ({
+    line: idx + 1,
+    value: p && typeof p === "object"
+      ? { type: p.type, server: p.server, port: p.port, username: p.username, password: p.password }
+      : p,
+  }));
+}
+
+function readProxychains(text) {
+  const lines = toLines(text);
+  const start = lines.findIndex(({ value }) => /^\s*\[ProxyList\]\s*$/i.test(value));
+  return lines.slice(start + 1).map(({ line, value }) => {
+    const trimmed = value.replace(/#.*$/, "").trim();
+    if (!trimmed) return { line, value: "" };
+    const [type, host, port, username, password] = trimmed.split(/\s+/);
+    return { line, value: { type, host, port, username, password } };
+  });
+}
+
+// Profiles of type FixedProfile hold one proxy per scheme; credentials live in `auth`
+function readSwitchyOmega(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Failed to parse SwitchyOmega backup: ${err.message}`);
+  }
+  if (!json || typeof json !== "object") throw new Error("Failed to parse SwitchyOmega backup: not a backup object");
+  const entries = [];
+  for (const [key, profile] of Object.entries(json)) {
+    if (!key.startsWith("+") || profile?.profileType !== "FixedProfile") continue;
+    for (const slot of ["fallbackProxy", "proxyForHttp", "proxyForHttps", "proxyForFtp"]) {
+      const server = profile[slot];
+      if (!server?.host) continue;
+      const auth = profile.auth?.[slot] || {};
+      entries.push({
+        line: entries.length + 1,
+        value: { scheme: server.scheme, host: server.host, port: server.port, username: auth.username, password: auth.password },
+      });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Read raw entries from file content
+ * @param {string} content - File content
+ * @param {string} format - One of INPUT_FORMATS
+ * @returns {Array<Object>} `{ line, value }` entries
+ */
+export function readContent(content, format) {
+  const text = content.trim();
+  if (format === "json") return readJson(text);
+  if (format === "csv") return readCsv(text);
+  if (format === "clash") return readClash(text);
+  if (format === "proxychains") return readProxychains(text);
+  if (format === "switchyomega") return readSwitchyOmega(text);
+  if (format === "base64") {
+    const decoded = decodeSubscription(text);
+    if (!decoded) throw new Error("Failed to decode base64 subscription");
+    return toLines(decoded);
+  }
+  if (format === "txt") return toLines(text);
+  throw new Error(`Unsupported input format: ${format}. Use ${INPUT_FORMATS.join(", ")}`);
+}
@@ -1,3 +1,48 @@
 // lib/index.js
 export { ClearProxy } from "./sdk.js";
-export { parseProxies, formatOutput } from "./utils.js";
+export { LocalChecker, validateJudgeUrl } from "./local.js";
+export {
+  parseProxies,
+  parseProxyList,
+  parseProxyLine,
+  normalizeProxy,
+  formatProxy,
+  parseDuration,
+} from "./utils.js";
+export { formatOutput, formatFromPath, convertProxies, EXPORT_FORMATS, DEFAULT_COLUMNS } from "./exporters.js";
+export { detectInputFormat, INPUT_FORMATS } from "./importers.js";
+export { mergeResults, attachLabels } from "./results.js";
+export { ResultSet } from "./resultset.js";
+export { RegionMatrix, MATRIX_FORMATS } from "./regions.js";
+export { CustomUrlMatrix, URL_MATRIX_FORMATS } from "./urlmatrix.js";
+export { diffResults, loadResultFile, DIFF_STATES } from "./diff.js";
+export { Watcher } from "./watch.js";
+export { loadJobFile, JobRunner, JobFileError, TASK_FIELDS, TASK_FILTERS } from "./jobfile.js";
+export { HistoryStore, formatHistory, HISTORY_FORMATS } from "./history.js";
+export { ProxyGateway, UpstreamPool, GATEWAY_STRATEGIES } from "./gateway.js";
+export { RotatingAgent } from "./agent.js";
+export { ConfigStore, loadProfile } from "./config.js";
+export {
+  resolveCustomUrls,
+  loadCustomUrlSpec,
+  CustomUrlSpecError,
+  CUSTOM_URL_PRESETS,
+  RULE_SCHEMA,
+  HTTP_METHODS,
+  LOCAL_ONLY_FIELDS,
+  localOnlyFields,
+  nameRuleResults,
+} from "./customurls.js";
+export { parseProgressEvent } from "./events.js";
+export { JobStore, CheckJob } from "./jobs.js";
+export {
+  ClearProxyError,
+  AuthError,
+  QuotaExceededError,
+  RateLimitError,
+  ValidationError,
+  ServerError,
+  NetworkError,
+  ResultFetchError,
+  CancelledError,
+} from "./errors.js";
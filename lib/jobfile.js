@@ -0,0 +1,611 @@
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { EventEmitter } from "events";
+import {
+  formatProxy,
+  parseProxyString,
+  parseProxyList,
+  validateType,
+  validateAutoStrategy,
+  autoProtocols,
+  writeFileAtomic,
+  didYouMean,
+} from "./utils.js";
+import { formatOutput, formatFromPath, validateFormat } from "./exporters.js";
+import { ResultSet, SORT_KEYS } from "./resultset.js";
+import { resolveCustomUrls, CustomUrlSpecError } from "./customurls.js";
+import { CancelledError } from "./errors.js";
+import { validateJudgeUrl } from "./local.js";
+
+/**
+ * Job files
+ * A job file describes several named checks in YAML (or JSON), run in dependency order by
+ * `clearproxy run` or a JobRunner:
+ *
+ *   vars:
+ *     out: ./out
+ *     region: ${CLEARPROXY_REGION:-us1}   # environment, with a default
+ *   defaults:                             # every task field but input, from, needs and outputs
+ *     region: ${region}
+ *     timeout: 4000
+ *   tasks:
+ *     http:
+ *       input: lists/scraped.txt          # files or proxies, one or a list
+ *       custom: discord
+ *       filters: { working: true, maxLatency: 1500 }
+ *       outputs:
+ *         - ${out}/http-${date}.json
+ *         - { file: "${out}/http.txt", format: txt, simple: true }
+ *     socks:
+ *       from: { task: http, status: failed }   # the proxies http found dead, as socks5
+ *       type: socks5
+ *       outputs: [ "${out}/socks.txt" ]
+ *
+ * `${name}` reads a variable, then the environment; `${env.NAME}` only the environment;
+ * `${name:-fallback}` has a default and `$$` is a literal `$`. Built-in variables: `date`
+ * (2026-01-31), `datetime` (20260131-230000) and `jobDir`. Relative paths are relative to the
+ * job file. The whole file is checked before any task runs.
+ */
+
+export const TASK_FIELDS = [
+  "input", "from", "needs", "local", "judge", "geo", "region", "type", "timeout", "custom", "workers",
+  "batchSize", "concurrency", "autoProtocols", "autoStrategy", "filters", "outputs",
+];
+export const TASK_FILTERS = ["working", "failed", "country", "isp", "anonymity", "maxLatency", "protocol", "passed", "label", "sort", "limit"];
+export const FROM_STATUSES = ["saved", "working", "failed", "all"];
+
+const JOB_KEYS = ["vars", "defaults", "tasks"];
+const OUTPUT_FIELDS = ["file", "format", "simple", "columns"];
+const PER_TASK = ["input", "from", "needs", "outputs"];
+const NUMBER_FIELDS = ["timeout", "workers", "batchSize", "concurrency"];
+const TASK_NAME_RE = /^[\w.-]+$/;
+
+/**
+ * Thrown when a job file is invalid
+ * `errors` lists every problem as `{ path, message }`.
+ */
+export class JobFileError extends Error {
+  constructor(errors, source) {
+    const lines = errors.map(e => `  ${e.path || "(root)"}: ${e.message}`);
+    super(`Invalid job file${source ? ` ${source}` : ""} (${errors.length} error${errors.length === 1 ? "" : "s"}):\n${lines.join("\n")}`);
+    this.name = this.constructor.name;
+    this.errors = errors;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function unknownKeys(object, known, at, errors) {
+  for (const key of Object.keys(object)) {
+    if (!known.includes(key)) {
+      errors.push({ path: at ? `${at}.${key}` : key, message: `unknown field${didYouMean(key, known)}` });
+    }
+  }
+}
+
+function builtinVars(now, dir) {
+  const pad = n => String(n).padStart(2, "0");
+  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const time = `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return { date, datetime: `${date.replace(/-/g, "")}-${time}`, jobDir: dir };
+}
+
+/**
+ * Replace `${...}` references in every string of a value
+ * @param {*} value - String, array or object
+ * @param {Function} lookup - `name => string|undefined`
+ * @param {string} at - Path of the value, for errors
+ * @param {Array} errors - Problems are pushed here
+ * @returns {*} The value with references replaced
+ */
+function interpolate(value, lookup, at, errors) {
+  if (typeof value === "string") {
+    return value.replace(/\$\$|\$\{([^}]*)\}/g, (match, expr) => {
+      if (match === "$$") return "$";
+      const split = expr.indexOf(":-");
+      const name = (split === -1 ? expr : expr.slice(0, split)).trim();
+      const found = lookup(name);
+      if (found !== undefined) return found;
+      if (split !== -1) return expr.slice(split + 2);
+      errors.push({ path: at, message: `unknown variable ${name}; set it in vars, with --var or in the environment` });
+      return match;
+    });
+  }
+  if (Array.isArray(value)) return value.map((item, i) => interpolate(item, lookup, `${at}[${i}]`, errors));
+  if (isObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, lookup, at ? `${at}.${key}` : key, errors)]));
+  }
+  return value;
+}
+
+/**
+ * Variables of a job, in file order, each able to use the ones before it
+ */
+function resolveVars(doc, { overrides, env, builtins, errors }) {
+  const vars = { ...builtins };
+  const lookup = name => {
+    if (name.startsWith("env.")) return env[name.slice(4)];
+    return vars[name] ?? env[name];
+  };
+  if (doc.vars !== undefined && !isObject(doc.vars)) {
+    errors.push({ path: "vars", message: "must be an object of names to values" });
+  }
+  for (const [name, value] of Object.entries(isObject(doc.vars) ? doc.vars : {})) {
+    if (Object.hasOwn(overrides, name)) continue;
+    if (isObject(value) || Array.isArray(value)) {
+      errors.push({ path: `vars.${name}`, message: "must be a string, number or boolean" });
+      continue;
+    }
+    vars[name] = interpolate(String(value ?? ""), lookup, `vars.${name}`, errors);
+  }
+  Object.assign(vars, overrides);
+  return { vars, lookup };
+}
+
+function checkFilters(filters, at, errors) {
+  if (!isObject(filters)) {
+    errors.push({ path: at, message: "must be an object of filters" });
+    return {};
+  }
+  unknownKeys(filters, TASK_FILTERS, at, errors);
+  const out = { ...filters };
+  for (const key of ["maxLatency", "limit"]) {
+    if (out[key] === undefined) continue;
+    out[key] = Number(out[key]);
+    if (!Number.isInteger(out[key]) || out[key] < 0) errors.push({ path: `${at}.${key}`, message: "must be a whole number" });
+  }
+  if (out.sort !== undefined && !SORT_KEYS.includes(String(out.sort).replace(/^-/, ""))) {
+    errors.push({ path: `${at}.sort`, message: `must be one of ${SORT_KEYS.join(", ")} (prefix - to reverse)` });
+  }
+  if (out.label !== undefined && !isObject(out.label)) {
+    errors.push({ path: `${at}.label`, message: "must be an object of label names to a value or a list of values" });
+  }
+  if (out.working && out.failed) errors.push({ path: at, message: "working and failed cannot both be set" });
+  return out;
+}
+
+function checkOutputs(outputs, dir, at, errors) {
+  const list = outputs === undefined ? [] : Array.isArray(outputs) ? outputs : [outputs];
+  return list.flatMap((output, i) => {
+    const here = Array.isArray(outputs) ? `${at}[${i}]` : at;
+    const spec = typeof output === "string" ? { file: output } : output;
+    if (!isObject(spec) || typeof spec.file !== "string" || !spec.file) {
+      errors.push({ path: here, message: "must be a file name or { file, format, simple, columns }" });
+      return [];
+    }
+    unknownKeys(spec, OUTPUT_FIELDS, here, errors);
+    const format = spec.format || formatFromPath(spec.file);
+    try {
+      validateFormat(format);
+    } catch (err) {
+      errors.push({ path: `${here}.format`, message: err.message });
+    }
+    const columns = typeof spec.columns === "string" ? spec.columns.split(",").map(c => c.trim()) : spec.columns;
+    return [{ file: path.resolve(dir, spec.file), format, simple: Boolean(spec.simple), columns }];
+  });
+}
+
+function checkFrom(from, tasks, at, errors) {
+  const spec = typeof from === "string" ? { task: from } : from;
+  if (!isObject(spec) || typeof spec.task !== "string") {
+    errors.push({ path: at, message: "must be a task name or { task, status }" });
+    return null;
+  }
+  unknownKeys(spec, ["task", "status"], at, errors);
+  const status = spec.status ?? "saved";
+  if (!FROM_STATUSES.includes(status)) {
+    errors.push({ path: `${at}.status`, message: `must be one of ${FROM_STATUSES.join(", ")}` });
+  }
+  if (!Object.hasOwn(tasks, spec.task)) {
+    errors.push({ path: `${at}.task`, message: `unknown task ${spec.task}${didYouMean(spec.task, Object.keys(tasks))}` });
+  }
+  return { task: spec.task, status };
+}
+
+/**
+ * One task, merged with the defaults and checked; inputs are checked later, once every output is known
+ */
+function checkTask(name, task, { defaults, tasks, dir, presets, errors }) {
+  const at = `tasks.${name}`;
+  if (!TASK_NAME_RE.test(name)) errors.push({ path: at, message: "task names may only use letters, digits, . _ -" });
+  if (!isObject(task)) {
+    errors.push({ path: at, message: "must be an object of task fields" });
+    return null;
+  }
+  unknownKeys(task, TASK_FIELDS, at, errors);
+  const merged = { ...defaults, ...task, filters: { ...defaults.filters, ...task.filters } };
+
+  if ((merged.input === undefined) === (merged.from === undefined)) {
+    errors.push({ path: at, message: "needs exactly one of input or from" });
+  }
+  const from = merged.from !== undefined ? checkFrom(merged.from, tasks, `${at}.from`, errors) : null;
+
+  const needs = merged.needs === undefined ? [] : [merged.needs].flat().map(String);
+  needs.forEach((need, i) => {
+    if (!Object.hasOwn(tasks, need)) errors.push({ path: `${at}.needs[${i}]`, message: `unknown task ${need}${didYouMean(need, Object.keys(tasks))}` });
+  });
+
+  const options = {};
+  for (const key of NUMBER_FIELDS) {
+    if (merged[key] === undefined) continue;
+    options[key] = Number(merged[key]);
+    if (!Number.isInteger(options[key]) || options[key] <= 0) errors.push({ path: `${at}.${key}`, message: "must be a positive whole number" });
+  }
+  if (merged.region !== undefined) options.region = String(merged.region);
+  options.type = merged.type ?? "http";
+  try {
+    validateType(options.type);
+  } catch (err) {
+    errors.push({ path: `${at}.type`, message: err.message });
+  }
+  if (merged.autoProtocols !== undefined) {
+    try {
+      options.autoProtocols = autoProtocols([merged.autoProtocols].flat().join(","));
+    } catch (err) {
+      errors.push({ path: `${at}.autoProtocols`, message: err.message });
+    }
+  }
+  if (merged.autoStrategy !== undefined) {
+    options.autoStrategy = String(merged.autoStrategy);
+    try {
+      validateAutoStrategy(options.autoStrategy);
+    } catch (err) {
+      errors.push({ path: `${at}.autoStrategy`, message: err.message });
+    }
+  }
+
+  let customUrls = [];
+  if (merged.custom !== undefined) {
+    // Spec files are relative to the job file, like every other path
+    const custom = typeof merged.custom === "string" && fs.existsSync(path.resolve(dir, merged.custom))
+      ? path.resolve(dir, merged.custom)
+      : merged.custom;
+    try {
+      customUrls = resolveCustomUrls(custom, { presets });
+    } catch (err) {
+      if (err instanceof CustomUrlSpecError) {
+        err.errors.forEach(e => errors.push({ path: `${at}.custom${e.path ? (e.path.startsWith("[") ? e.path : `.${e.path}`) : ""}`, message: e.message }));
+      } else {
+        errors.push({ path: `${at}.custom`, message: err.message });
+      }
+    }
+  }
+
+  if (merged.local !== undefined && typeof merged.local !== "boolean") {
+    errors.push({ path: `${at}.local`, message: "must be true or false" });
+  }
+  if (merged.local && options.region) {
+    errors.push({ path: `${at}.region`, message: "local tasks check from this machine; remove region or local" });
+  }
+  if (merged.local) {
+    if (merged.judge === undefined) {
+      errors.push({ path: `${at}.judge`, message: "local tasks need a judge URL that echoes request headers and origin IP as JSON" });
+    } else {
+      options.judgeUrl = String(merged.judge);
+      try {
+        validateJudgeUrl(options.judgeUrl);
+      } catch (err) {
+        errors.push({ path: `${at}.judge`, message: err.message });
+      }
+    }
+    if (merged.geo !== undefined) {
+      if (typeof merged.geo !== "boolean" && typeof merged.geo !== "string") {
+        errors.push({ path: `${at}.geo`, message: "must be true, false or a lookup URL" });
+      }
+      options.geoUrl = merged.geo;
+    }
+  } else {
+    for (const key of ["judge", "geo"]) {
+      if (task[key] !== undefined) errors.push({ path: `${at}.${key}`, message: "only used by local tasks" });
+    }
+  }
+
+  return {
+    name,
+    input: merged.input === undefined ? null : [merged.input].flat(),
+    from,
+    needs: [...new Set([...needs, ...(from ? [from.task] : [])])],
+    local: Boolean(merged.local),
+    options,
+    customUrls,
+    filters: checkFilters(merged.filters, `${at}.filters`, errors),
+    outputs: checkOutputs(merged.outputs, dir, `${at}.outputs`, errors),
+  };
+}
+
+/**
+ * Inputs: files (relative to the job file, or written by another task) or proxy lines.
+ * A task reading another task's output runs after it.
+ */
+function checkInputs(task, producers, dir, errors) {
+  if (!task.input) return;
+  task.input = task.input.map((item, i) => {
+    const at = `tasks.${task.name}.input${task.input.length > 1 ? `[${i}]` : ""}`;
+    if (typeof item !== "string" || !item.trim()) {
+      errors.push({ path: at, message: "must be a file name or a proxy" });
+      return item;
+    }
+    const file = path.resolve(dir, item);
+    const producer = producers.get(file);
+    if (producer && producer !== task.name) {
+      if (!task.needs.includes(producer)) task.needs.push(producer);
+      return { file };
+    }
+    if (fs.existsSync(file)) return { file };
+    if (parseProxyString(item)) return { proxy: item.trim() };
+    errors.push({ path: at, message: `not a file or a proxy: ${item}` });
+    return item;
+  });
+}
+
+/**
+ * Tasks in an order where every task comes after the ones it needs, file order otherwise
+ */
+function orderTasks(tasks, errors) {
+  const byName = new Map(tasks.map(task => [task.name, task]));
+  const ordered = [];
+  const state = new Map();
+  const visit = (task, stack) => {
+    if (state.get(task.name) === "done") return;
+    if (state.get(task.name) === "visiting") {
+      errors.push({ path: `tasks.${task.name}.needs`, message: `tasks depend on each other (${[...stack, task.name].join(" → ")})` });
+      return;
+    }
+    state.set(task.name, "visiting");
+    for (const need of task.needs) {
+      if (byName.has(need)) visit(byName.get(need), [...stack, task.name]);
+    }
+    state.set(task.name, "done");
+    ordered.push(task);
+  };
+  tasks.forEach(task => visit(task, []));
+  return ordered;
+}
+
+/**
+ * Read and check a job file
+ * @param {string} file - Path to a .yaml/.yml or .json job file
+ * @param {Object} [options]
+ * @param {Object} [options.vars] - Variables that override the file's, e.g. from `--var`
+ * @param {Object} [options.env=process.env] - Environment for `${...}` references
+ * @param {Object} [options.defaults] - Lowest-precedence task defaults, e.g. from a config profile
+ * @param {Object} [options.presets] - Custom URL presets usable in `custom`
+ * @param {Date} [options.now] - Time of the `date` and `datetime` variables
+ * @returns {Object} `{ file, dir, vars, tasks }`, tasks in run order
+ * @throws {JobFileError} When the file is invalid; every problem is listed with its path
+ *
+ * @example
+ * const job = loadJobFile('nightly.yaml', { vars: { out: '/srv/lists' } });
+ * job.tasks.map(t => t.name);   // ['http', 'socks']
+ */
+export function loadJobFile(file, { vars: overrides = {}, env = process.env, defaults: baseDefaults = {}, presets, now = new Date() } = {}) {
+  const absPath = path.resolve(process.cwd(), file);
+  if (!fs.existsSync(absPath)) throw new Error(`Job file not found: ${file}`);
+  let doc;
+  try {
+    const text = fs.readFileSync(absPath, "utf8");
+    doc = /\.json$/i.test(file) ? JSON.parse(text) : yaml.load(text);
+  } catch (err) {
+    throw new Error(`Failed to parse ${file}: ${err.message}`);
+  }
+  if (!isObject(doc)) throw new JobFileError([{ path: "", message: "must be an object with tasks" }], file);
+
+  const dir = path.dirname(absPath);
+  const errors = [];
+  unknownKeys(doc, JOB_KEYS, "", errors);
+  const { vars, lookup } = resolveVars(doc, { overrides, env, builtins: builtinVars(now, dir), errors });
+
+  let defaults = {};
+  if (doc.defaults !== undefined) {
+    if (!isObject(doc.defaults)) {
+      errors.push({ path: "defaults", message: "must be an object of task fields" });
+    } else {
+      unknownKeys(doc.defaults, TASK_FIELDS.filter(key => !PER_TASK.includes(key)), "defaults", errors);
+      defaults = interpolate(doc.defaults, lookup, "defaults", errors);
+    }
+  }
+  defaults = { ...baseDefaults, ...defaults };
+
+  if (!isObject(doc.tasks) || !Object.keys(doc.tasks).length) {
+    errors.push({ path: "tasks", message: "must be an object of named tasks" });
+    throw new JobFileError(errors, file);
+  }
+  const raw = interpolate(doc.tasks, lookup, "tasks", errors);
+  const tasks = Object.entries(raw)
+    .map(([name, task]) => checkTask(name, task, { defaults, tasks: raw, dir, presets, errors }))
+    .filter(Boolean);
+
+  const producers = new Map();
+  for (const task of tasks) {
+    for (const output of task.outputs) {
+      if (producers.has(output.file)) {
+        errors.push({ path: `tasks.${task.name}.outputs`, message: `${output.file} is also written by task ${producers.get(output.file)}` });
+      }
+      producers.set(output.file, task.name);
+    }
+  }
+  tasks.forEach(task => checkInputs(task, producers, dir, errors));
+
+  const ordered = orderTasks(tasks, errors);
+  if (errors.length) throw new JobFileError(errors, file);
+  return { file: absPath, dir, vars, tasks: ordered };
+}
+
+// JSON with custom validation keeps the whole document, as `clearproxy check --out` does
+function renderOutput(result, { format, simple, columns }) {
+  if (result.custom_url_validation && format === "json" && !simple) {
+    const { summary, metadata, proxies, custom_url_validation } = result;
+    return JSON.stringify({ summary, metadata, proxies, custom_url_validation }, null, 2);
+  }
+  return formatOutput(result.proxies, format, simple, { customUrlValidation: result.custom_url_validation, columns });
+}
+
+function applyTaskFilters(result, filters) {
+  if (!Object.keys(filters).length) return result;
+  let set = ResultSet.from(result);
+  if (filters.working) set = set.working();
+  if (filters.failed) set = set.failed();
+  if (filters.country) set = set.country(filters.country);
+  if (filters.isp) set = set.isp(filters.isp);
+  if (filters.anonymity) set = set.anonymity(filters.anonymity);
+  if (filters.maxLatency !== undefined) set = set.maxLatency(filters.maxLatency);
+  if (filters.protocol) set = set.protocol(filters.protocol);
+  if (filters.passed) set = set.passed(filters.passed === "all" ? undefined : filters.passed);
+  for (const [key, values] of Object.entries(filters.label || {})) set = set.label(key, values);
+  if (filters.sort) set = set.sort(filters.sort);
+  if (filters.limit !== undefined) set = set.limit(filters.limit);
+  return set.toResult();
+}
+
+/**
+ * JobRunner
+ * Runs the tasks of a loadJobFile() job in order. A task whose `needs` failed or was skipped is
+ * skipped; the others still run unless `failFast` is set.
+ *
+ * Events:
+ *   - start     `{ task, index, total }` before a task's check
+ *   - progress  `{ task, event }` progress events of the check
+ *   - done      `{ task, report }` after its outputs are written
+ *   - failed    `{ task, error, report }`
+ *   - skipped   `{ task, reason, report }`
+ *
+ * @example
+ * const runner = new JobRunner(loadJobFile('nightly.yaml'), {
+ *   check: (input, options) => client.check(input, options),
+ *   localCheck: (input, options) => new LocalChecker().check(input, options),
+ * });
+ * runner.on('failed', ({ task, error }) => console.error(task.name, error.message));
+ * const report = await runner.run();   // report.ok, report.tasks[].status
+ */
+export class JobRunner extends EventEmitter {
+  /**
+   * @param {Object} job - From loadJobFile()
+   * @param {Object} options
+   * @param {Function} [options.check] - `(input, options) => Promise<result>` for API tasks, normally client.check
+   * @param {Function} [options.localCheck] - Same, for tasks with `local: true`
+   * @param {boolean} [options.failFast=false] - Skip every remaining task after the first failure
+   * @param {AbortSignal} [options.signal] - Stops the run; the current check is cancelled
+   */
+  constructor(job, { check, localCheck, failFast = false, signal } = {}) {
+    super();
+    this.job = job;
+    this.failFast = failFast;
+    this.results = new Map();
+    this._check = check;
+    this._localCheck = localCheck;
+    this._controller = new AbortController();
+    if (signal) {
+      if (signal.aborted) this.stop(signal.reason);
+      else signal.addEventListener("abort", () => this.stop(signal.reason), { once: true });
+    }
+  }
+
+  /** Stop after the current task; its check is cancelled */
+  stop(reason) {
+    if (!this._controller.signal.aborted) this._controller.abort(reason ?? new CancelledError("Job run stopped"));
+  }
+
+  /**
+   * Run every task
+   * @returns {Promise<Object>} `{ file, ok, duration, tasks: [{ name, status, duration, total, working, saved, outputs, error, reason }] }`;
+   *   `status` is ok, failed or skipped
+   */
+  async run() {
+    const startedAt = Date.now();
+    const reports = new Map();
+    const { tasks } = this.job;
+
+    for (const [index, task] of tasks.entries()) {
+      const report = { name: task.name, status: "skipped", duration: 0, total: null, working: null, saved: null, outputs: [], error: null, reason: null };
+      reports.set(task.name, report);
+
+      const blocked = task.needs.find(need => reports.get(need)?.status !== "ok");
+      const failedBefore = [...reports.values()].some(r => r.status === "failed");
+      if (this._controller.signal.aborted || blocked || (this.failFast && failedBefore)) {
+        report.reason = this._controller.signal.aborted ? "run stopped"
+          : blocked ? `needs ${blocked}, which ${reports.get(blocked).status === "failed" ? "failed" : "was skipped"}`
+            : "an earlier task failed (fail fast)";
+        this.emit("skipped", { task, reason: report.reason, report });
+        continue;
+      }
+
+      this.emit("start", { task, index, total: tasks.length });
+      const taskStarted = Date.now();
+      try {
+        const result = await this._runTask(task);
+        const saved = applyTaskFilters(result, task.filters);
+        this.results.set(task.name, { result, saved });
+        for (const output of task.outputs) {
+          writeFileAtomic(output.file, renderOutput(saved, output));
+          report.outputs.push(output.file);
+        }
+        Object.assign(report, {
+          status: "ok",
+          total: result.proxies.length,
+          working: result.proxies.filter(p => p.status === "working").length,
+          saved: saved.proxies.length,
+        });
+        report.duration = Date.now() - taskStarted;
+        this.emit("done", { task, report });
+      } catch (err) {
+        Object.assign(report, { status: "failed", error: err.message, duration: Date.now() - taskStarted });
+        this.emit("failed", { task, error: err, report });
+      }
+    }
+
+    const list = [...reports.values()];
+    return { file: this.job.file, ok: list.every(r => r.status === "ok"), duration: Date.now() - startedAt, tasks: list };
+  }
+
+  async _runTask(task) {
+    const check = task.local ? this._localCheck : this._check;
+    if (!check) throw new Error(`No ${task.local ? "local " : ""}checker given to the runner`);
+    const { input, labels } = await this._input(task);
+    if (!input.length) throw new Error(task.from ? `Task ${task.from.task} left no ${task.from.status === "saved" ? "" : `${task.from.status} `}proxies to check` : "No proxies found in input");
+
+    const { workers, concurrency, ...options } = task.options;
+    return check(input, {
+      ...options,
+      ...(task.local ? { concurrency: workers } : { concurrency }),
+      customUrls: task.customUrls,
+      labels,
+      signal: this._controller.signal,
+      onProgress: event => this.emit("progress", { task, event }),
+    });
+  }
+
+  // Proxy lines and labels of a task, from its files and proxies or from an earlier task
+  async _input(task) {
+    if (task.from) {
+      const { result, saved } = this.results.get(task.from.task);
+      let set = ResultSet.from(task.from.status === "saved" ? saved : result);
+      if (task.from.status === "working") set = set.working();
+      if (task.from.status === "failed") set = set.failed();
+      const labels = {};
+      // Without the scheme, so the task's own type applies
+      const input = set.toArray().map(entry => {
+        const p = entry.proxy;
+        const line = formatProxy({ host: p.host, port: p.port, username: p.username || undefined, password: p.username ? p.password ?? undefined : undefined });
+        if (entry.labels) labels[line] = entry.labels;
+        return line;
+      });
+      return { input, labels };
+    }
+
+    const input = [];
+    const labels = {};
+    for (const item of task.input) {
+      if (item.proxy) {
+        input.push(item.proxy);
+        continue;
+      }
+      const list = await parseProxyList(item.file);
+      input.push(...list.proxies);
+      Object.assign(labels, list.labels);
+    }
+    return { input, labels };
+  }
+}
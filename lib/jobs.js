@@ -0,0 +1,215 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { EventEmitter } from "events";
+import { writeFileAtomic } from "./utils.js";
+
+export const DEFAULT_JOBS_FILE = path.join(os.homedir(), ".clearproxy", "jobs.json");
+export const MAX_STORED_JOBS = 500;
+// Status updates are written at most this often; a new result URL is written at once
+const FLUSH_DELAY = 1000;
+
+/**
+ * JobStore
+ * Local record of submitted /check jobs, so their results can be downloaded later
+ * even if the process that submitted them died.
+ *
+ * Each entry is one API job:
+ *   { jobId, parent, protocol, auto, region, size, resultUrl, status, error, createdAt, updatedAt }
+ * `parent` is the jobId of the check() call that split its list into this job (protocol
+ * groups, batches); single-request checks have `parent === jobId`.
+ * Status: submitting → running → completed | failed | cancelled
+ *
+ * The file is rewritten once an entry first gets its result URL; other updates are merged
+ * into one write per second and flushed when the process exits.
+ */
+export class JobStore {
+  /**
+   * @param {string} [file] - Jobs file (default: ~/.clearproxy/jobs.json)
+   */
+  constructor(file = DEFAULT_JOBS_FILE) {
+    this.file = file;
+    this._pending = new Map();
+    this._timer = null;
+    // Deferred writes must not throw from a timer or the exit handler; what they could not
+    // write stays pending for the next save() or flush()
+    this._flushOnExit = () => {
+      try {
+        this.flush();
+      } catch {
+        // Reported by the next explicit flush()
+      }
+    };
+  }
+
+  _read() {
+    let jobs = [];
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      jobs = Array.isArray(data.jobs) ? data.jobs : [];
+    } catch {
+      // No jobs yet
+    }
+    // Updates not written yet win over the file
+    for (const entry of this._pending.values()) {
+      const idx = jobs.findIndex(j => j.jobId === entry.jobId);
+      if (idx === -1) jobs.push(entry);
+      else jobs[idx] = entry;
+    }
+    return jobs;
+  }
+
+  // Write through a temp file so an interrupted write never leaves a truncated file
+  _write(jobs) {
+    writeFileAtomic(this.file, JSON.stringify({ jobs: jobs.slice(-MAX_STORED_JOBS) }, null, 2));
+  }
+
+  /**
+   * Record a job, or update it when its jobId is already stored
+   * @param {Object} job - Entry fields; `jobId` is required
+   * @returns {Object} Stored entry
+   */
+  save(job) {
+    const jobs = this._read();
+    const now = new Date().toISOString();
+    const stored = jobs.find(j => j.jobId === job.jobId);
+    const entry = stored
+      ? { ...stored, ...job, updatedAt: now }
+      : { jobId: job.jobId, parent: job.jobId, createdAt: now, ...job, updatedAt: now };
+    this._pending.set(entry.jobId, entry);
+    if (entry.resultUrl && !stored?.resultUrl) {
+      this.flush();
+    } else if (!this._timer) {
+      this._timer = setTimeout(this._flushOnExit, FLUSH_DELAY);
+      this._timer.unref?.();
+      process.once("exit", this._flushOnExit);
+    }
+    return entry;
+  }
+
+  /**
+   * Write pending updates to the jobs file now
+   * @throws {Error} When the file cannot be written (EACCES, ENOSPC, EROFS); the updates stay pending
+   */
+  flush() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    process.off("exit", this._flushOnExit);
+    if (!this._pending.size) return;
+    this._write(this._read());
+    this._pending.clear();
+  }
+
+  /**
+   * All stored jobs, newest first
+   * @returns {Array<Object>}
+   */
+  list() {
+    return this._read().reverse();
+  }
+
+  /**
+   * The API jobs belonging to a jobId: the job itself, or every part of a split check
+   * @param {string} jobId - API job ID or the parent check's jobId
+   * @returns {Array<Object>} Matching entries in submission order (empty when unknown)
+   */
+  find(jobId) {
+    const jobs = this._read();
+    const own = jobs.filter(j => j.jobId === jobId);
+    if (own.length && own[0].parent !== jobId) return own;
+    return jobs.filter(j => j.parent === jobId);
+  }
+}
+
+/**
+ * Save a job entry in a job store without ever failing the check
+ * The API may already have accepted the job, so a write error (EACCES, ENOSPC, EROFS) is
+ * returned instead of thrown.
+ * @param {JobStore} store
+ * @param {Object} job - See JobStore#save()
+ * @returns {string|null} Why the entry was not saved, or null
+ */
+export function recordJob(store, job) {
+  try {
+    store.save(job);
+    return null;
+  } catch (err) {
+    return `Job not recorded: ${err.message}`;
+  }
+}
+
+/**
+ * CheckJob
+ * Handle for a check started with `client.submit()`.
+ *
+ * Events:
+ *   - "submitted" (part)       an API job was accepted: `{ jobId, resultUrl, protocol, size }`
+ *   - "progress" (event)       raw progress frame, as passed to `onProgress`
+ *   - "connection" (event)     progress socket state, as passed to `onStatus`
+ *   - "done" (result)          the check finished
+ *   - "failed" (err)           the check failed or was cancelled
+ */
+export class CheckJob extends EventEmitter {
+  constructor(jobId, controller) {
+    super();
+    this.jobId = jobId;
+    this.status = "submitting";
+    this.parts = [];
+    this.result = null;
+    this.error = null;
+    this._controller = controller;
+    this._promise = null;
+  }
+
+  /**
+   * Result URL of the job; null until the API accepted it, or when the check was
+   * split into several API jobs (see `parts`)
+   */
+  get resultUrl() {
+    return this.parts.length === 1 ? this.parts[0].resultUrl : null;
+  }
+
+  /** AbortSignal that fires when the job is cancelled */
+  get signal() {
+    return this._controller.signal;
+  }
+
+  _start(promise) {
+    this.status = "running";
+    this._promise = promise.then(
+      result => {
+        this.status = "completed";
+        this.result = result;
+        this.emit("done", result);
+        return result;
+      },
+      err => {
+        this.status = this.signal.aborted ? "cancelled" : "failed";
+        this.error = err;
+        this.emit("failed", err);
+        throw err;
+      },
+    );
+    // wait() may never be called; the rejection is still reported through "failed"
+    this._promise.catch(() => {});
+    return this;
+  }
+
+  /**
+   * Wait for the check to finish
+   * @returns {Promise<Object>} Same result as check()
+   * @throws {ClearProxyError} CancelledError when the job was cancelled
+   */
+  wait() {
+    return this._promise;
+  }
+
+  /**
+   * Stop waiting for the job: aborts in-flight requests and closes the progress socket.
+   * API jobs that were already accepted keep running server-side; they stay in the jobs
+   * file so their results can still be fetched with getResult().
+   */
+  cancel(reason) {
+    this._controller.abort(reason);
+  }
+}
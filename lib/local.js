@@ -0,0 +1,504 @@
+import http from "http";
+import net from "net";
+import tls from "tls";
+import { once } from "events";
+import { openTunnel } from "./tunnel.js";
+import {
+  loadProxyList,
+  parseProxyString,
+  formatProxy,
+  mapLimit,
+  validateType,
+  autoProtocols,
+  validateAutoStrategy,
+  positiveInteger,
+} from "./utils.js";
+import { resolveCustomUrls } from "./customurls.js";
+import { recordHistory } from "./history.js";
+import { formatRate, protocolSummary, summarizeProxies, combineProtocolEntries, attachLabels, labelsByKey } from "./results.js";
+
+const DEFAULT_GEO_URL = "http://ip-api.com/json/?fields=status,countryCode,isp,query";
+const MAX_BODY = 1024 * 1024;
+
+// Headers a forwarding proxy adds when it does not hide itself
+const PROXY_HEADERS = ["via", "x-forwarded-for", "forwarded", "x-real-ip", "proxy-connection", "x-proxy-id", "client-ip"];
+
+/**
+ * Check the judge URL of a local check
+ * There is no default: the judge sees every proxy checked, so it should be a server you trust.
+ * @param {string} judgeUrl - http(s) URL that echoes request headers and origin as JSON
+ * @throws {Error} When the URL is missing or not http(s)
+ */
+export function validateJudgeUrl(judgeUrl) {
+  if (!judgeUrl) {
+    throw new Error("Local checks need a judge URL: a server you trust that echoes the request headers and origin IP as JSON");
+  }
+  let url;
+  try {
+    url = new URL(judgeUrl);
+  } catch {
+    throw new Error(`Invalid judge URL: ${judgeUrl}`);
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new Error(`Invalid judge URL: ${judgeUrl}. Use an http:// or https:// URL`);
+  }
+}
+
+/**
+ * Wait for a socket event, destroying the socket if it does not arrive in time
+ */
+async function withSocketTimeout(socket, event, timeout) {
+  socket.setTimeout(timeout, () => socket.destroy(new Error(`Timed out after ${timeout}ms`)));
+  try {
+    await once(socket, event);
+  } catch (err) {
+    socket.destroy();
+    throw err;
+  }
+  socket.setTimeout(0);
+  return socket;
+}
+
+/**
+ * Send one HTTP(S) request through a proxy
+ * Plain-HTTP targets behind an HTTP proxy use the proxy's forwarding mode (so its
+ * added headers are visible) unless `tunnel` is set; everything else goes through a tunnel.
+ * @param {Object} proxy - Proxy with protocol, host, port, username, password
+ * @param {string} url - Target URL
+ * @param {Object} [options]
+ * @param {string} [options.method=GET] - HTTP method
+ * @param {Object} [options.headers] - Request headers
+ * @param {number} [options.timeout=4000] - Total timeout in milliseconds
+ * @param {boolean} [options.tunnel=false] - Use CONNECT for plain-HTTP targets behind an HTTP proxy too
+ * @returns {Promise<Object>} `{ status, headers, body, time }`
+ */
+export async function requestThroughProxy(proxy, url, { method = "GET", headers = {}, timeout = 4000, tunnel = false } = {}) {
+  const target = new URL(url);
+  const isHttps = target.protocol === "https:";
+  const hostname = target.hostname.replace(/^\[|\]$/g, "");
+  const port = Number(target.port) || (isHttps ? 443 : 80);
+  const started = Date.now();
+
+  let requestOptions;
+  if (proxy && proxy.protocol === "http" && !isHttps && !tunnel) {
+    const proxyHeaders = {};
+    if (proxy.username) {
+      const token = Buffer.from(`${proxy.username}:${proxy.password || ""}`).toString("base64");
+      proxyHeaders["Proxy-Authorization"] = `Basic ${token}`;
+    }
+    requestOptions = { host: proxy.host, port: proxy.port, path: target.href, headers: proxyHeaders, agent: false };
+  } else {
+    let socket = proxy
+      ? await openTunnel(proxy, hostname, port, { timeout })
+      : await withSocketTimeout(net.connect({ host: hostname, port }), "connect", timeout);
+    if (isHttps) {
+      socket = await withSocketTimeout(
+        tls.connect({ socket, servername: net.isIP(hostname) ? undefined : hostname }),
+        "secureConnect",
+        timeout
+      );
+    }
+    requestOptions = { host: hostname, port, path: target.pathname + target.search, headers: {}, createConnection: () => socket };
+  }
+
+  const remaining = Math.max(1, timeout - (Date.now() - started));
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      ...requestOptions,
+      method,
+      headers: { Host: target.host, "User-Agent": "clearproxy-local", Connection: "close", ...requestOptions.headers, ...headers },
+    }, res => {
+      const chunks = [];
+      let size = 0;
+      res.on("data", chunk => {
+        size += chunk.length;
+        if (size <= MAX_BODY) chunks.push(chunk);
+      });
+      res.on("end", () => {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString("utf8"),
+          time: Date.now() - started,
+        });
+        req.destroy();
+      });
+      res.on("error", reject);
+    });
+    req.setTimeout(remaining, () => req.destroy(new Error(`Timed out after ${timeout}ms`)));
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+/**
+ * Evaluate a custom URL rule (see RULE_SCHEMA) against a response
+ * `check` names the part of the rule that failed: latency, status, header, required_text,
+ * regex or forbidden_text.
+ * @returns {Object} `{ passed, reason, check }`
+ */
+export function evaluateRule(rule, response) {
+  const fail = (check, reason) => ({ passed: false, reason, check });
+  if (rule.maxLatency && response.time > rule.maxLatency) {
+    return fail("latency", `took ${response.time}ms, over ${rule.maxLatency}ms`);
+  }
+  const codes = rule.requiredStatusCodes?.length ? rule.requiredStatusCodes : [200];
+  if (!codes.includes(response.status)) {
+    return fail("status", `status ${response.status} not in [${codes.join(", ")}]`);
+  }
+  for (const [name, match] of Object.entries(rule.requiredHeaders || {})) {
+    const value = response.headers[name.toLowerCase()];
+    if (value === undefined) return fail("header", `header ${name} missing`);
+    if (match !== true && !String(value).toLowerCase().includes(match.toLowerCase())) {
+      return fail("header", `header ${name} is '${value}', expected '${match}'`);
+    }
+  }
+  const body = rule.caseSensitive ? response.body : response.body.toLowerCase();
+  const text = value => (rule.caseSensitive ? value : value.toLowerCase());
+  if (rule.requiredText && !body.includes(text(rule.requiredText))) {
+    return fail("required_text", `required text '${rule.requiredText}' not found`);
+  }
+  if (rule.requiredRegex && !new RegExp(rule.requiredRegex, rule.caseSensitive ? "" : "i").test(response.body)) {
+    return fail("regex", `body does not match /${rule.requiredRegex}/`);
+  }
+  const forbidden = [rule.forbiddenText ?? []].flat().find(t => body.includes(text(t)));
+  if (forbidden) return fail("forbidden_text", `forbidden text '${forbidden}' found`);
+  return { passed: true };
+}
+
+/**
+ * IP addresses in a header value such as `1.2.3.4, 5.6.7.8` or `for="[2001:db8::1]:4711"`
+ */
+function ipsIn(value) {
+  return (String(value).match(/[0-9a-f:.]+/gi) || [])
+    .flatMap(token => [token, token.replace(/:\d+$/, "")])
+    .map(ip => ip.toLowerCase().replace(/^::ffff:(?=\d+\.)/, ""))
+    .filter(ip => net.isIP(ip));
+}
+
+/**
+ * Classify anonymity from the headers a judge saw
+ * Only an exact match of the real IP counts, so 1.2.3.4 is not found in 11.2.3.45.
+ */
+function classifyAnonymity(judge, realIp) {
+  const seen = new Set([...Object.values(judge.headers || {}), judge.origin ?? ""].flatMap(ipsIn));
+  if (realIp && seen.has(realIp)) return "transparent";
+  const headerNames = Object.keys(judge.headers || {}).map(h => h.toLowerCase());
+  if (headerNames.some(h => PROXY_HEADERS.includes(h))) return "anonymous";
+  return "elite";
+}
+
+/**
+ * Per-protocol counts for auto detection: checked, working and chosen as best
+ */
+function autoSummary(proxies, candidates) {
+  const out = Object.fromEntries(candidates.map(p => [p, { checked: 0, working: 0, best: 0 }]));
+  for (const entry of proxies) {
+    for (const [protocol, r] of Object.entries(entry.protocolResults || { [entry.protocol]: entry })) {
+      if (!out[protocol]) out[protocol] = { checked: 0, working: 0, best: 0 };
+      out[protocol].checked++;
+      if (r.status === "working") out[protocol].working++;
+    }
+    if (entry.status === "working" && entry.protocol) out[entry.protocol].best++;
+  }
+  return out;
+}
+
+/**
+ * LocalChecker
+ * Checks proxies from this machine instead of the ClearProxy cloud, and returns
+ * the same result structure as ClearProxy#check().
+ *
+ * @example
+ * const checker = new LocalChecker({ concurrency: 200, judgeUrl: 'http://judge.example.com/headers' });
+ * const result = await checker.check('proxies.txt', { type: 'socks5', timeout: 5000 });
+ * console.log(result.working.length);
+ */
+export class LocalChecker {
+  /**
+   * @param {Object} [options] - Defaults for every check() call (see check())
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Check proxies locally
+   * @param {string|Array} input - File path, array of proxies, or single proxy string
+   * @param {Object} [options] - Check options
+   * @param {number} [options.timeout=4000] - Timeout per request in milliseconds
+   * @param {string} [options.type=http] - Proxy type for lines without a scheme: http, socks4, socks5, or auto
+   * @param {Array<string>} [options.autoProtocols] - Protocols tried by `auto` (default: http, socks5, socks4)
+   * @param {string} [options.autoStrategy=first] - `first` stops at the first protocol that works, `all` tries every one
+   * @param {Array|Object|string} [options.customUrls] - Custom URL rules, a spec or a preset name (see resolveCustomUrls())
+   * @param {Object} [options.presets] - Extra custom URL presets, name → rules
+   * @param {number} [options.concurrency=100] - Proxies checked at once
+   * @param {string} options.judgeUrl - URL that echoes request headers and origin as JSON; required, as it
+   *   sees every proxy checked. An http:// judge also tells anonymity levels apart
+   * @param {string|boolean} [options.geoUrl=false] - IP lookup URL returning countryCode/isp, or true for
+   *   ip-api.com; off by default, as the lookup sends every working proxy to that service
+   * @param {Function} [options.onProgress] - Called with `{ type: 'progress', details: { checked, total, message } }`
+   * @param {Object|Map} [options.labels] - Extra labels per proxy, as in ClearProxy#check()
+   * @param {HistoryStore} [options.history] - Records the verdict of every proxy, as the client's `history` option
+   * @returns {Promise<Object>} Result object with summary, metadata, proxies, working, failed and custom_url_validation
+   */
+  async check(input, options = {}) {
+    const {
+      timeout = 4000,
+      type = "http",
+      customUrls = [],
+      concurrency = 100,
+      judgeUrl,
+      geoUrl: geo = false,
+      autoProtocols: autoList,
+      autoStrategy = "first",
+      onProgress,
+      labels,
+      history,
+      presets,
+    } = { ...this.options, ...options };
+
+    validateJudgeUrl(judgeUrl);
+    validateType(type);
+    validateAutoStrategy(autoStrategy);
+    positiveInteger(concurrency, "concurrency");
+    const candidates = type === "auto" ? autoProtocols(autoList) : null;
+    const geoUrl = geo === true ? DEFAULT_GEO_URL : geo || false;
+    const rules = resolveCustomUrls(customUrls, { presets });
+
+    const { proxies: list, labels: inputLabels } = await loadProxyList(input);
+    if (!list.length) {
+      throw new Error("No proxies found in input");
+    }
+
+    const started = Date.now();
+    const realIp = await this._realIp(judgeUrl, timeout);
+    let checked = 0;
+
+    const proxies = await mapLimit(list, concurrency, async raw => {
+      const protocol = parseProxyString(raw)?.protocol || type;
+      const entry = protocol === "auto"
+        ? await this._detectProtocol(raw, candidates, autoStrategy, { timeout, judgeUrl, geoUrl, realIp })
+        : await this._checkOne(raw, protocol, { timeout, judgeUrl, geoUrl, realIp });
+      checked++;
+      onProgress?.({
+        type: "progress",
+        details: { checked, total: list.length, message: `Checked ${checked}/${list.length} proxies` },
+      });
+      return entry;
+    });
+
+    const working = proxies.filter(p => p.status === "working");
+    const failed = proxies.filter(p => p.status !== "working");
+
+    const custom_url_validation = rules.length
+      ? await this._validateCustomUrls(working, rules, { timeout, concurrency })
+      : null;
+
+    const protocols = candidates ? autoSummary(proxies, candidates) : protocolSummary(proxies);
+    const mixed = Object.keys(protocols).length > 1;
+
+    const result = attachLabels({
+      summary: {
+        ...summarizeProxies(proxies),
+        ...(mixed || candidates ? { protocols } : {}),
+      },
+      metadata: {
+        total_checked: proxies.length,
+        region_used: "local",
+        type_used: candidates ? "auto" : mixed ? "mixed" : proxies[0].protocol,
+        timeout_used: `${timeout}ms`,
+        processing_time: `${((Date.now() - started) / 1000).toFixed(2)}s`,
+      },
+      proxies,
+      working,
+      failed,
+      custom_url_validation,
+    }, labelsByKey(inputLabels, labels));
+    return recordHistory(history, result, { source: "local" });
+  }
+
+  /**
+   * Look up this machine's public IP through the judge, used to spot transparent proxies
+   * @private
+   */
+  async _realIp(judgeUrl, timeout) {
+    try {
+      const res = await requestThroughProxy(null, judgeUrl, { timeout });
+      return ipsIn(JSON.parse(res.body).origin ?? "")[0] || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check a proxy with each candidate protocol and combine the entries
+   * @private
+   */
+  async _detectProtocol(raw, candidates, strategy, options) {
+    const entries = [];
+    for (const protocol of candidates) {
+      const entry = await this._checkOne(raw, protocol, { ...options, geoUrl: false });
+      entries.push(entry);
+      if (strategy === "first" && entry.status === "working") break;
+    }
+
+    const combined = combineProtocolEntries(entries);
+    if (combined.protocol && options.geoUrl) {
+      await this._lookupGeo(combined, { ...parseProxyString(raw), protocol: combined.protocol }, options);
+    }
+    return combined;
+  }
+
+  /**
+   * Check a single proxy and build its result entry
+   * @private
+   */
+  async _checkOne(raw, protocol, { timeout, judgeUrl, geoUrl, realIp }) {
+    const parsed = parseProxyString(raw);
+    const entry = {
+      proxy: {
+        host: parsed?.host ?? raw,
+        port: parsed?.port ?? null,
+        hasAuth: Boolean(parsed?.username),
+        username: parsed?.username,
+        password: parsed?.password,
+      },
+      protocol,
+      status: "failed",
+      country: null,
+      isp: null,
+      anonymity: null,
+      responseTime: null,
+    };
+
+    if (!parsed) {
+      entry.error = "Invalid proxy format";
+      return entry;
+    }
+
+    const proxy = { ...parsed, protocol: entry.protocol };
+    try {
+      // HTTP proxies are checked through CONNECT, as clients use them for https:// URLs
+      const res = await requestThroughProxy(proxy, judgeUrl, { timeout, tunnel: true });
+      if (res.status !== 200) {
+        entry.error = `Judge returned status ${res.status}`;
+        return entry;
+      }
+      entry.status = "working";
+      entry.responseTime = res.time;
+    } catch (err) {
+      entry.error = err.message;
+      return entry;
+    }
+
+    // Tunnelled requests never carry proxy-added headers; only forwarding mode shows them
+    entry.anonymity = proxy.protocol === "http" && judgeUrl.startsWith("http:")
+      ? await this._anonymity(proxy, judgeUrl, { timeout, realIp })
+      : "elite";
+
+    if (geoUrl) {
+      await this._lookupGeo(entry, proxy, { geoUrl, timeout });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Anonymity of an HTTP proxy, from the headers it adds in forwarding mode
+   * Null when the proxy does not forward plain requests or the judge did not return JSON.
+   * @private
+   */
+  async _anonymity(proxy, judgeUrl, { timeout, realIp }) {
+    try {
+      const res = await requestThroughProxy(proxy, judgeUrl, { timeout });
+      if (res.status !== 200) return null;
+      return classifyAnonymity(JSON.parse(res.body), realIp);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Fill in country and ISP of a working proxy
+   * @private
+   */
+  async _lookupGeo(entry, proxy, { geoUrl, timeout }) {
+    try {
+      const res = await requestThroughProxy(proxy, geoUrl, { timeout });
+      const geo = JSON.parse(res.body);
+      entry.country = geo.countryCode || geo.country || null;
+      entry.isp = geo.isp || null;
+    } catch {
+      // Geo lookup is best effort
+    }
+  }
+
+  /**
+   * Run custom URL rules through every working proxy
+   * Every working entry gets `custom_checks: { rule: { passed, status, responseTime, check, reason } }`,
+   * the cells of a CustomUrlMatrix.
+   * @private
+   */
+  async _validateCustomUrls(working, customUrls, { timeout, concurrency }) {
+    const started = Date.now();
+    const per_url_summary = [];
+
+    for (const rule of customUrls) {
+      const outcomes = await mapLimit(working, concurrency, async entry => {
+        const proxy = { ...entry.proxy, protocol: entry.protocol };
+        try {
+          const res = await requestThroughProxy(proxy, rule.url, { method: rule.method, headers: rule.headers, timeout });
+          return { ...evaluateRule(rule, res), status: res.status, responseTime: res.time };
+        } catch (err) {
+          return { passed: false, check: "error", reason: err.message };
+        }
+      });
+
+      working.forEach((entry, idx) => {
+        const { passed, status = null, responseTime = null, check = null, reason = null } = outcomes[idx];
+        entry.custom_checks = { ...entry.custom_checks, [rule.name ?? rule.url]: { passed, status, responseTime, check, reason } };
+      });
+
+      // Why proxies failed this rule: check → count
+      const failures = {};
+      outcomes.filter(o => !o.passed).forEach(o => {
+        failures[o.check] = (failures[o.check] || 0) + 1;
+      });
+
+      const successful_proxies = working
+        .filter((_, idx) => outcomes[idx].passed)
+        .map(({ proxy }) => formatProxy({
+          host: proxy.host,
+          port: proxy.port,
+          username: proxy.hasAuth ? proxy.username : undefined,
+          password: proxy.hasAuth ? proxy.password : undefined,
+        }));
+      const success_count = successful_proxies.length;
+      const failed_count = working.length - success_count;
+
+      per_url_summary.push({
+        ...rule,
+        requiredStatusCodes: rule.requiredStatusCodes || [200],
+        caseSensitive: Boolean(rule.caseSensitive),
+        total_tested: working.length,
+        success_count,
+        failed_count,
+        success_rate: formatRate(success_count, working.length),
+        failures,
+        successful_proxies,
+      });
+    }
+
+    return {
+      summary: {
+        total_urls_tested: customUrls.length,
+        total_proxies_tested: working.length,
+        processing_time: `${((Date.now() - started) / 1000).toFixed(2)}s`,
+      },
+      per_url_summary,
+    };
+  }
+}
+
+export default LocalChecker;
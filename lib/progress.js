@@ -0,0 +1,201 @@
+import { EventEmitter } from "events";
+import { backoffDelay, retryPolicy } from "./retry.js";
+
+export const DEFAULT_PROGRESS = {
+  connectTimeout: 5000,
+  heartbeatInterval: 15000,
+  heartbeatTimeout: 45000,
+  maxReconnects: 5,
+};
+
+/**
+ * ProgressChannel
+ * Real-time progress socket for one job, with connect confirmation, heartbeats and
+ * automatic reconnects. It never throws: when the socket cannot be kept up the
+ * status becomes "degraded" and the check carries on without live progress.
+ *
+ * Statuses: connecting → connected → reconnecting → connected | degraded → closed
+ *
+ * Events:
+ *   - "message" (event)          parsed JSON frame
+ *   - "status" (status, info)    connection status change; info has attempt/reason
+ */
+export class ProgressChannel extends EventEmitter {
+  /**
+   * @param {string} url - Socket URL
+   * @param {Object} options
+   * @param {Function} options.webSocket - Factory `(url, { headers }) => socket` (ws-compatible)
+   * @param {Object} [options.headers] - Headers for the socket handshake
+   * @param {number} [options.connectTimeout=5000] - Time allowed for each connection attempt
+   * @param {number} [options.heartbeatInterval=15000] - Ping interval in milliseconds
+   * @param {number} [options.heartbeatTimeout=45000] - Reconnect when nothing arrived for this long
+   * @param {number} [options.maxReconnects=5] - Reconnect attempts before giving up (degraded)
+   */
+  constructor(url, options) {
+    super();
+    this.url = url;
+    this.options = { ...DEFAULT_PROGRESS, ...options };
+    this.backoff = retryPolicy({ minDelay: 500, maxDelay: 10000 });
+    this.status = "idle";
+    this.socket = null;
+    this.attempts = 0;
+    this.closed = false;
+    this.timers = new Set();
+  }
+
+  _setStatus(status, info = {}) {
+    if (this.status === status && status !== "reconnecting") return;
+    this.status = status;
+    this.emit("status", status, info);
+  }
+
+  _timer(fn, ms, repeat = false) {
+    const id = repeat ? setInterval(fn, ms) : setTimeout(() => {
+      this.timers.delete(id);
+      fn();
+    }, ms);
+    this.timers.add(id);
+    return id;
+  }
+
+  _clearTimer(id) {
+    clearTimeout(id);
+    clearInterval(id);
+    this.timers.delete(id);
+  }
+
+  /**
+   * Connect and wait until the socket is confirmed open
+   * Waits at most `connectTimeout`; if the socket is still not up by then, the channel keeps
+   * reconnecting in the background. Resolves with the current status; never rejects.
+   * @returns {Promise<string>}
+   */
+  open() {
+    this._setStatus("connecting");
+    return new Promise(resolve => {
+      const settle = () => {
+        this.off("status", onStatus);
+        this._clearTimer(deadline);
+        resolve(this.status);
+      };
+      const deadline = this._timer(settle, this.options.connectTimeout);
+      const onStatus = status => {
+        if (status === "connected" || status === "degraded" || status === "closed") settle();
+      };
+      this.on("status", onStatus);
+      this._connect();
+    });
+  }
+
+  _connect() {
+    if (this.closed) return;
+
+    let socket;
+    try {
+      socket = this.options.webSocket(this.url, { headers: this.options.headers });
+    } catch (err) {
+      this._scheduleReconnect(err.message);
+      return;
+    }
+    this.socket = socket;
+    let opened = false;
+    let lastSeen = Date.now();
+    let heartbeat;
+
+    const connectTimer = this._timer(() => {
+      if (!opened) drop("connect timeout");
+    }, this.options.connectTimeout);
+
+    const drop = reason => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this._clearTimer(connectTimer);
+      if (heartbeat) this._clearTimer(heartbeat);
+      socket.removeAllListeners?.();
+      socket.on?.("error", () => {});
+      try {
+        (socket.terminate || socket.close).call(socket);
+      } catch {
+        // Already gone
+      }
+      this._scheduleReconnect(reason);
+    };
+
+    // Only traffic after the handshake proves the connection healthy and resets the backoff
+    const alive = () => {
+      lastSeen = Date.now();
+      this.attempts = 0;
+    };
+
+    socket.on("open", () => {
+      opened = true;
+      lastSeen = Date.now();
+      this._clearTimer(connectTimer);
+      this._setStatus("connected");
+
+      heartbeat = this._timer(() => {
+        if (Date.now() - lastSeen > this.options.heartbeatTimeout) {
+          drop("heartbeat timeout");
+          return;
+        }
+        try {
+          socket.ping?.();
+        } catch {
+          // Next tick of the heartbeat will notice
+        }
+      }, this.options.heartbeatInterval, true);
+    });
+
+    socket.on("pong", alive);
+
+    socket.on("message", data => {
+      alive();
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        return; // Ignore invalid JSON
+      }
+      this.emit("message", event);
+    });
+
+    socket.on("error", err => drop(err?.message || "socket error"));
+    socket.on("close", () => drop("socket closed"));
+  }
+
+  _scheduleReconnect(reason) {
+    if (this.closed) return;
+    if (this.attempts >= this.options.maxReconnects) {
+      this._setStatus("degraded", { reason, attempts: this.attempts });
+      return;
+    }
+    const delay = backoffDelay(this.attempts, this.backoff);
+    this.attempts++;
+    this._setStatus("reconnecting", { reason, attempt: this.attempts, delay });
+    this._timer(() => this._connect(), delay);
+  }
+
+  /**
+   * Close the socket and stop reconnecting
+   */
+  close() {
+    this.closed = true;
+    for (const id of this.timers) {
+      clearTimeout(id);
+      clearInterval(id);
+    }
+    this.timers.clear();
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) {
+      socket.removeAllListeners?.();
+      socket.on?.("error", () => {});
+      try {
+        socket.close();
+      } catch {
+        // Already gone
+      }
+    }
+    this._setStatus("closed");
+  }
+}
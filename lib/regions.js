@@ -0,0 +1,314 @@
+import { formatProxy } from "./utils.js";
+import { proxyKey, latency } from "./results.js";
+import { csvCell } from "./exporters.js";
+
+/**
+ * Multi-region checks
+ * ClearProxy#checkRegions() runs one list in several regions; RegionMatrix holds the verdict of
+ * every proxy (rows) in every region (columns).
+ */
+
+export const MATRIX_FORMATS = ["table", "csv", "json"];
+
+// Region the API keeps for its own tests (shown red by `clearproxy regions`)
+const TEST_REGIONS = new Set(["test1"]);
+
+/**
+ * Region codes from a /regions response, test regions left out
+ * @param {Object} data - `{ regions: [{ code, name }] }` or `{ regions: { code: info } }`
+ * @returns {Array<string>}
+ */
+export function regionCodes(data) {
+  const regions = data?.regions ?? data ?? [];
+  const list = Array.isArray(regions)
+    ? regions.map(r => (typeof r === "string" ? { code: r } : { code: r.code || r.id, name: r.name }))
+    : Object.entries(regions).map(([code, info]) => ({ code, name: typeof info === "string" ? info : info?.name }));
+  return list
+    .filter(r => r.code && !TEST_REGIONS.has(r.code) && !TEST_REGIONS.has(r.name))
+    .map(r => String(r.code));
+}
+
+/**
+ * Accept `"us1,sg1"`, `["us1", "sg1"]` or several arguments and return a flat, unique list
+ */
+export function parseRegions(...values) {
+  return [...new Set(values.flat().flatMap(v => String(v).split(",")).map(v => v.trim()).filter(Boolean))];
+}
+
+const VIEWS = ["all", "everywhere", "anywhere", "nowhere"];
+const VIEWS_WITH_ARG = ["only", "in", "atleast"];
+
+/**
+ * Split a view name such as `only:sg1` or `atleast:2`
+ * @param {string} [view=all]
+ * @returns {{ name: string, arg: string|undefined }}
+ * @throws {Error} When the view is unknown or misses its argument
+ */
+export function parseView(view = "all") {
+  const [name, arg] = String(view).split(":");
+  const lower = name.toLowerCase();
+  if (VIEWS.includes(lower) || (VIEWS_WITH_ARG.includes(lower) && arg)) {
+    if (lower === "atleast" && !/^\d+$/.test(arg)) throw new Error(`Invalid view: ${view}. atleast takes a number`);
+    return { name: lower, arg };
+  }
+  throw new Error(`Unknown view: ${view}. Use all, everywhere, anywhere, nowhere, only:<region>, in:<region>, atleast:<n>`);
+}
+
+function isWorking(row, region) {
+  return row.entries[region]?.status === "working";
+}
+
+function proxyString(row) {
+  const p = row.proxy;
+  return formatProxy({
+    host: p.host,
+    port: p.port,
+    username: p.username || undefined,
+    password: p.username ? p.password ?? undefined : undefined,
+    protocol: row.protocol || undefined,
+  });
+}
+
+/**
+ * RegionMatrix
+ * Immutable proxy × region view of several check() results. Every view returns a new matrix
+ * over the same regions.
+ *
+ * Each row is `{ key, proxy, protocol, labels, entries: { region: entry } }`, where `entries`
+ * holds the full result entry of every region the proxy was checked in.
+ *
+ * @example
+ * const matrix = await client.checkRegions('proxies.txt', ['us1', 'sg1', 'gb1']);
+ * matrix.everywhere().size;          // work from every region
+ * matrix.only('sg1').toEntries();    // work from sg1 and nowhere else
+ * fs.writeFileSync('matrix.csv', matrix.format('csv'));
+ */
+export class RegionMatrix {
+  /**
+   * @param {Array<string>} regions - Regions that returned a result, in column order
+   * @param {Array<Object>} rows - Matrix rows
+   * @param {Array<Object>} [failedRegions] - `{ region, error }` for regions whose check failed
+   */
+  constructor(regions, rows, failedRegions = []) {
+    this.regions = regions;
+    this.rows = rows;
+    this.failedRegions = failedRegions;
+  }
+
+  /**
+   * Build a matrix from one check() result per region
+   * @param {Object} results - `{ region: result }`
+   * @param {Array<Object>} [failedRegions] - `{ region, error }`
+   * @returns {RegionMatrix}
+   */
+  static fromResults(results, failedRegions = []) {
+    const rows = new Map();
+    for (const [region, result] of Object.entries(results)) {
+      for (const entry of result.proxies || []) {
+        const key = proxyKey(entry);
+        if (!rows.has(key)) {
+          rows.set(key, { key, proxy: entry.proxy, protocol: entry.protocol ?? null, labels: entry.labels, entries: {} });
+        }
+        rows.get(key).entries[region] = entry;
+      }
+    }
+    return new RegionMatrix(Object.keys(results), [...rows.values()], failedRegions);
+  }
+
+  _derive(rows) {
+    return new RegionMatrix(this.regions, rows, this.failedRegions);
+  }
+
+  /** Number of proxies (rows) */
+  get size() {
+    return this.rows.length;
+  }
+
+  [Symbol.iterator]() {
+    return this.rows[Symbol.iterator]();
+  }
+
+  /** Keep rows matching a predicate */
+  where(predicate) {
+    return this._derive(this.rows.filter(predicate));
+  }
+
+  /** Regions a row works from */
+  workingRegions(row) {
+    return this.regions.filter(region => isWorking(row, region));
+  }
+
+  /** Proxies that work from every region */
+  everywhere() {
+    return this.where(row => this.regions.every(region => isWorking(row, region)));
+  }
+
+  /** Proxies that work from at least one region */
+  anywhere() {
+    return this.atLeast(1);
+  }
+
+  /** Proxies that work from no region */
+  nowhere() {
+    return this.where(row => !this.workingRegions(row).length);
+  }
+
+  /** Proxies that work from at least `n` regions */
+  atLeast(n) {
+    return this.where(row => this.workingRegions(row).length >= Number(n));
+  }
+
+  /**
+   * Proxies that work from every given region (and maybe others)
+   * @param {...(string|Array<string>)} regions
+   */
+  in(...regions) {
+    const wanted = this._known(parseRegions(...regions));
+    return this.where(row => wanted.every(region => isWorking(row, region)));
+  }
+
+  /**
+   * Proxies that work from the given regions and from no other
+   * @param {...(string|Array<string>)} regions
+   */
+  only(...regions) {
+    const wanted = this._known(parseRegions(...regions));
+    return this.where(row => {
+      const working = this.workingRegions(row);
+      return working.length === wanted.length && wanted.every(region => working.includes(region));
+    });
+  }
+
+  _known(regions) {
+    const unknown = regions.filter(region => !this.regions.includes(region));
+    if (unknown.length) {
+      throw new Error(`Unknown region(s): ${unknown.join(", ")}. Checked: ${this.regions.join(", ")}`);
+    }
+    return regions;
+  }
+
+  /**
+   * Apply a view by name, as used by `clearproxy check --view`
+   * @param {string} view - all, everywhere, anywhere, nowhere, only:<regions>, in:<regions>, atleast:<n>
+   */
+  view(view = "all") {
+    const { name, arg } = parseView(view);
+    if (name === "everywhere") return this.everywhere();
+    if (name === "anywhere") return this.anywhere();
+    if (name === "nowhere") return this.nowhere();
+    if (name === "only") return this.only(arg);
+    if (name === "in") return this.in(arg);
+    if (name === "atleast") return this.atLeast(arg);
+    return this;
+  }
+
+  /**
+   * Counts per region and per view
+   * @returns {Object} `{ total, regions: { us1: { checked, working } }, everywhere, anywhere, nowhere, only: { us1: n } }`
+   */
+  summary() {
+    const regions = Object.fromEntries(this.regions.map(region => [region, {
+      checked: this.rows.filter(row => row.entries[region]).length,
+      working: this.rows.filter(row => isWorking(row, region)).length,
+    }]));
+    return {
+      total: this.size,
+      regions,
+      everywhere: this.everywhere().size,
+      anywhere: this.anywhere().size,
+      nowhere: this.nowhere().size,
+      only: Object.fromEntries(this.regions.map(region => [region, this.only(region).size])),
+    };
+  }
+
+  /**
+   * One result entry per proxy, for formatOutput() and the config exporters
+   * Each entry is the proxy's fastest working region (or its first region when it works nowhere),
+   * with `region` and `workingRegions` added.
+   * @returns {Array<Object>}
+   */
+  toEntries() {
+    return this.rows.map(row => {
+      const working = this.workingRegions(row);
+      const best = working.length
+        ? working.reduce((a, b) => (latency(row.entries[b]) < latency(row.entries[a]) ? b : a))
+        : this.regions.find(region => row.entries[region]);
+      return { ...row.entries[best], region: best, workingRegions: working };
+    });
+  }
+
+  /**
+   * Plain object for JSON output
+   * @returns {Object} `{ regions, summary, failed_regions, proxies: [{ proxy, protocol, labels, working_regions, regions: { us1: cell } }] }`
+   */
+  toJSON() {
+    return {
+      regions: this.regions,
+      summary: this.summary(),
+      failed_regions: this.failedRegions,
+      proxies: this.rows.map(row => ({
+        proxy: proxyString(row),
+        protocol: row.protocol,
+        ...(row.labels ? { labels: row.labels } : {}),
+        working_regions: this.workingRegions(row),
+        regions: Object.fromEntries(this.regions.map(region => {
+          const entry = row.entries[region];
+          return [region, entry
+            ? {
+              status: entry.status,
+              responseTime: entry.responseTime ?? null,
+              country: entry.country ?? null,
+              anonymity: entry.anonymity ?? null,
+            }
+            : null];
+        })),
+      })),
+    };
+  }
+
+  /**
+   * Format the matrix
+   * @param {string} format - table, csv or json
+   * @returns {string}
+   */
+  format(format) {
+    if (format === "json") return JSON.stringify(this.toJSON(), null, 2);
+    if (format === "csv") return matrixCsv(this);
+    if (format === "table") return matrixTable(this);
+    throw new Error(`Unsupported matrix format: ${format}. Use ${MATRIX_FORMATS.join(", ")}`);
+  }
+}
+
+function matrixCsv(matrix) {
+  const regionColumns = matrix.regions.flatMap(region => [`${region}_status`, `${region}_ms`]);
+  const fixed = ["proxy", "protocol", ...regionColumns, "working_regions"];
+  const labelKeys = [...new Set(matrix.rows.flatMap(row => Object.keys(row.labels || {})))];
+  const labelColumns = labelKeys.map(key => (fixed.includes(key) ? `label.${key}` : key));
+
+  const rows = matrix.rows.map(row => [
+    proxyString(row),
+    row.protocol,
+    ...matrix.regions.flatMap(region => [row.entries[region]?.status, row.entries[region]?.responseTime]),
+    matrix.workingRegions(row),
+    ...labelKeys.map(key => row.labels?.[key]),
+  ].map(csvCell).join(","));
+  return [[...fixed, ...labelColumns].map(csvCell).join(","), ...rows].join("\n");
+}
+
+function matrixTable(matrix) {
+  const cell = (row, region) => {
+    const entry = row.entries[region];
+    if (!entry) return "-";
+    if (entry.status !== "working") return "✘";
+    return Number.isFinite(latency(entry)) ? `✔ ${latency(entry)}ms` : "✔";
+  };
+  const header = ["proxy", ...matrix.regions, "works from"];
+  const body = matrix.rows.map(row => {
+    const working = matrix.workingRegions(row);
+    const from = working.length === matrix.regions.length ? "everywhere" : working.join(",") || "nowhere";
+    return [proxyString(row), ...matrix.regions.map(region => cell(row, region)), from];
+  });
+  const widths = header.map((h, i) => Math.max(h.length, ...body.map(r => r[i].length)));
+  const line = cells => cells.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd();
+  return [line(header), line(widths.map(w => "-".repeat(w))), ...body.map(line)].join("\n");
+}
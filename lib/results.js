@@ -0,0 +1,404 @@
+import { parseProxyString, formatProxy, PROXY_TYPES } from "./utils.js";
+
+/**
+ * Helpers for working with check() result objects
+ */
+
+// Summary fields that add up across jobs; groups such as `countries` hold nothing but counts
+const COUNT_FIELD = /^total_|_count$/;
+const COUNT_GROUPS = ["countries", "anonymity_levels", "protocols", "failures"];
+
+const isObject = value => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Sum the count fields of two summaries, recursing into nested objects
+ * Other numbers (averages, timings) do not add up and rates have to be recomputed from the
+ * counts, so both are dropped; non-numeric values keep the first value seen.
+ */
+function sumCounts(a = {}, b = {}, counts = false) {
+  const out = {};
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const [x, y] = [a[key], b[key]];
+    if (isObject(x) || isObject(y)) {
+      out[key] = sumCounts(isObject(x) ? x : {}, isObject(y) ? y : {}, counts || COUNT_GROUPS.includes(key));
+    } else if (/_rate$/.test(key)) {
+      continue;
+    } else if (typeof x === "number" || typeof y === "number") {
+      if (counts || COUNT_FIELD.test(key)) out[key] = (Number(x) || 0) + (Number(y) || 0);
+    } else {
+      out[key] = x !== undefined ? x : y;
+    }
+  }
+  return out;
+}
+
+/**
+ * Format a success ratio the way the API does ("12.50%")
+ */
+export function formatRate(success, total) {
+  return total > 0 ? `${((success / total) * 100).toFixed(2)}%` : "0.00%";
+}
+
+/**
+ * Get the per-URL entries of a custom_url_validation block, whatever its shape
+ * @param {Object|Array} validation - custom_url_validation from a result
+ * @returns {Array} Per-URL result entries
+ */
+export function perUrlResults(validation) {
+  if (!validation) return [];
+  return validation.per_url_summary ||
+    validation.results ||
+    (Array.isArray(validation) ? validation : []);
+}
+
+/**
+ * Proxies that passed each custom URL rule
+ * @param {Object|Array} validation - custom_url_validation from a result
+ * @returns {Map<string, Set<string>>} rule name (default: its URL) → proxyKey() of every proxy that passed it
+ */
+export function passedByUrl(validation) {
+  return new Map(perUrlResults(validation).map(entry => [
+    entry.name ?? entry.url,
+    new Set((entry.successful_proxies || []).map(line => {
+      const parsed = parseProxyString(line);
+      return parsed ? proxyKey(parsed) : line;
+    })),
+  ]));
+}
+
+/**
+ * Merge custom_url_validation blocks from several jobs into one
+ */
+function mergeCustomUrlValidation(blocks) {
+  const present = blocks.filter(Boolean);
+  if (!present.length) return null;
+
+  // Keyed by rule name, so two rules on the same URL stay apart
+  const byUrl = new Map();
+  for (const block of present) {
+    for (const entry of perUrlResults(block)) {
+      const key = entry.name ?? entry.url;
+      const prev = byUrl.get(key);
+      if (!prev) {
+        byUrl.set(key, {
+          ...entry,
+          ...(entry.failures ? { failures: { ...entry.failures } } : {}),
+          successful_proxies: [...(entry.successful_proxies || [])],
+        });
+        continue;
+      }
+      prev.success_count = (prev.success_count || 0) + (entry.success_count || 0);
+      prev.failed_count = (prev.failed_count || 0) + (entry.failed_count || 0);
+      if (prev.total_tested !== undefined || entry.total_tested !== undefined) {
+        prev.total_tested = (prev.total_tested || 0) + (entry.total_tested || 0);
+      }
+      prev.successful_proxies.push(...(entry.successful_proxies || []));
+      for (const [check, count] of Object.entries(entry.failures || {})) {
+        prev.failures = { ...prev.failures, [check]: (prev.failures?.[check] || 0) + count };
+      }
+      if (entry.error && !prev.error) prev.error = entry.error;
+    }
+  }
+
+  const per_url_summary = [...byUrl.values()].map(entry => ({
+    ...entry,
+    success_rate: formatRate(entry.success_count || 0, (entry.success_count || 0) + (entry.failed_count || 0)),
+  }));
+
+  const summary = present.reduce((acc, block) => sumCounts(acc, block.summary), {});
+  summary.total_urls_tested = per_url_summary.length;
+  if (present.some(block => block.summary?.overall_success_rate !== undefined)) {
+    const success = per_url_summary.reduce((sum, entry) => sum + (entry.success_count || 0), 0);
+    const tested = per_url_summary.reduce((sum, entry) => sum + (entry.success_count || 0) + (entry.failed_count || 0), 0);
+    summary.overall_success_rate = formatRate(success, tested);
+  }
+
+  return { summary, per_url_summary };
+}
+
+/**
+ * Merge several check() results into one result that looks like a single job
+ * @param {Array<Object>} results - Results returned by check() for parts of a list
+ * @returns {Object} Merged result with summary, metadata, proxies, working, failed and custom_url_validation
+ */
+export function mergeResults(results) {
+  if (results.length === 1) return results[0];
+
+  const proxies = results.flatMap(r => r.proxies || []);
+  const working = proxies.filter(p => p.status === "working");
+  // Anything not working is failed, as in attachLabels() and ResultSet#failed()
+  const failed = proxies.filter(p => p.status !== "working");
+
+  const summary = results.reduce((acc, r) => sumCounts(acc, r.summary), {});
+  summary.total_working = working.length;
+  if (summary.total_failed !== undefined) summary.total_failed = failed.length;
+  if (results.some(r => r.summary?.success_rate !== undefined)) {
+    summary.success_rate = formatRate(working.length, proxies.length);
+  }
+
+  const last = results[results.length - 1].metadata || {};
+  const metadata = {
+    ...last,
+    total_checked: results.reduce((sum, r) => sum + (r.metadata?.total_checked ?? r.proxies?.length ?? 0), 0),
+  };
+  const usedChecks = results.map(r => r.metadata?.user?.checks_used);
+  if (usedChecks.every(n => typeof n === "number")) {
+    metadata.user = { ...last.user, checks_used: usedChecks.reduce((a, b) => a + b, 0) };
+  }
+
+  return {
+    summary,
+    metadata,
+    proxies,
+    working,
+    failed,
+    custom_url_validation: mergeCustomUrlValidation(results.map(r => r.custom_url_validation)),
+  };
+}
+
+/**
+ * Group proxy strings by protocol
+ * Lines with a scheme use it; lines without one fall back to `defaultType`.
+ * The scheme is removed from the grouped strings.
+ * @param {Array<string>} proxies - Proxy strings
+ * @param {string} defaultType - Protocol for lines without a scheme
+ * @returns {Map<string, Array<string>>} protocol → proxy strings
+ */
+export function groupByProtocol(proxies, defaultType) {
+  const groups = new Map();
+  for (const line of proxies) {
+    const parsed = parseProxyString(line);
+    const protocol = parsed?.protocol || defaultType;
+    const plain = parsed ? formatProxy({ ...parsed, protocol: undefined }) : line;
+    if (!groups.has(protocol)) groups.set(protocol, []);
+    groups.get(protocol).push(plain);
+  }
+  return groups;
+}
+
+/**
+ * Proxy lines of failed batches, in a form parseProxyList() reads back
+ * Batches checked as http, socks4 or socks5 get that scheme; `auto` batches and lines that
+ * already carry a scheme are written as they are.
+ * @param {Array<Object>} failedBatches - `failed_batches` of a result
+ * @returns {Array<string>}
+ */
+export function uncheckedLines(failedBatches) {
+  return (failedBatches || []).flatMap(b => (b.proxies || []).map(line => {
+    const text = typeof line === "string" ? line : formatProxy(line);
+    const scheme = PROXY_TYPES.includes(b.protocol) && !parseProxyString(text)?.protocol;
+    return scheme ? `${b.protocol}://${text}` : text;
+  }));
+}
+
+/**
+ * Tag every proxy entry of a result with the protocol it was checked with
+ */
+export function withProtocol(result, protocol) {
+  const proxies = (result.proxies || []).map(p => ({ ...p, protocol: p.protocol || protocol }));
+  return {
+    ...result,
+    proxies,
+    working: proxies.filter(p => p.status === "working"),
+    failed: proxies.filter(p => p.status !== "working"),
+  };
+}
+
+/**
+ * Count checked and working proxies per protocol
+ * @returns {Object} `{ http: { checked, working }, ... }`
+ */
+export function protocolSummary(proxies) {
+  const out = {};
+  for (const p of proxies) {
+    if (!p.protocol) continue;
+    out[p.protocol] = out[p.protocol] || { checked: 0, working: 0 };
+    out[p.protocol].checked++;
+    if (p.status === "working") out[p.protocol].working++;
+  }
+  return out;
+}
+
+/**
+ * Key identifying a proxy result entry by host, port and credentials
+ */
+export function proxyKey(entry) {
+  const p = entry.proxy || entry;
+  return formatProxy({
+    host: String(p.host).toLowerCase(),
+    port: p.port,
+    username: p.username || undefined,
+    password: p.username ? p.password : undefined,
+  });
+}
+
+/**
+ * Index labels by proxyKey()
+ * @param {...(Object|Map)} sources - Proxy string → labels; later sources win per field
+ * @returns {Map<string, Object>}
+ */
+export function labelsByKey(...sources) {
+  const byKey = new Map();
+  for (const source of sources) {
+    for (const [line, value] of source instanceof Map ? source : Object.entries(source || {})) {
+      const parsed = parseProxyString(line);
+      if (!parsed) continue;
+      const key = proxyKey(parsed);
+      byKey.set(key, { ...byKey.get(key), ...value });
+    }
+  }
+  return byKey;
+}
+
+/**
+ * Join user labels back onto the proxy entries of a result, by host, port and credentials
+ * @param {Object} result - check() result
+ * @param {Object|Map} labels - Proxy string → labels, as in parseProxyList().labels, or a labelsByKey() map
+ * @returns {Object} The result with `labels` on every matching entry (unchanged when there are none)
+ */
+export function attachLabels(result, labels) {
+  const byKey = labelsByKey(labels);
+  if (!byKey.size) return result;
+
+  const proxies = (result.proxies || []).map(p => {
+    const found = byKey.get(proxyKey(p));
+    return found ? { ...p, labels: { ...p.labels, ...found } } : p;
+  });
+  return {
+    ...result,
+    proxies,
+    working: proxies.filter(p => p.status === "working"),
+    failed: proxies.filter(p => p.status !== "working"),
+  };
+}
+
+/**
+ * Labels as `provider=acme, pool=a` (empty string when there are none)
+ */
+export function labelText(labels) {
+  return Object.entries(labels || {}).map(([k, v]) => `${k}=${v}`).join(", ");
+}
+
+/**
+ * Build summary counts (working, countries, anonymity) from proxy entries
+ */
+export function summarizeProxies(proxies) {
+  const working = proxies.filter(p => p.status === "working");
+  const countries = {};
+  const anonymity_levels = { elite: 0, anonymous: 0, transparent: 0 };
+  for (const p of working) {
+    if (p.country) countries[p.country] = (countries[p.country] || 0) + 1;
+    if (p.anonymity) anonymity_levels[p.anonymity] = (anonymity_levels[p.anonymity] || 0) + 1;
+  }
+  return {
+    total_working: working.length,
+    total_failed: proxies.length - working.length,
+    countries,
+    anonymity_levels,
+  };
+}
+
+/**
+ * Response time of a result entry in milliseconds (Infinity when unknown)
+ */
+export function latency(entry) {
+  const ms = parseFloat(entry.responseTime);
+  return Number.isNaN(ms) ? Infinity : ms;
+}
+
+/**
+ * Combine the entries of one proxy checked with several protocols
+ * The fastest working protocol becomes `protocol`; `supportedProtocols` lists every
+ * working protocol from fastest to slowest.
+ * @param {Array<Object>} entries - Result entries of the same proxy, each with `protocol`
+ * @returns {Object} Combined result entry
+ */
+export function combineProtocolEntries(entries) {
+  const working = entries.filter(e => e.status === "working").sort((a, b) => latency(a) - latency(b));
+  const base = working[0] || entries[0];
+  return {
+    ...base,
+    protocol: working[0] ? working[0].protocol : null,
+    supportedProtocols: working.map(e => e.protocol),
+    protocolResults: Object.fromEntries(entries.map(e => [e.protocol, { status: e.status, responseTime: e.responseTime }])),
+  };
+}
+
+/**
+ * Merge the per-protocol runs of a `type: 'auto'` check into one result
+ * Custom URL results are taken from each proxy's best protocol.
+ * @param {Array<Array>} runs - `[protocol, result]` pairs
+ * @returns {Object} Result with one entry per proxy
+ */
+export function mergeAutoResults(runs) {
+  const byKey = new Map();
+  for (const [protocol, result] of runs) {
+    for (const entry of result.proxies || []) {
+      const key = proxyKey(entry);
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push({ ...entry, protocol });
+    }
+  }
+
+  const proxies = [...byKey.values()].map(combineProtocolEntries);
+  const working = proxies.filter(p => p.status === "working");
+  const failed = proxies.filter(p => p.status !== "working");
+  const bestByKey = new Map(working.map(p => [proxyKey(p), p.protocol]));
+
+  const summary = summarizeProxies(proxies);
+  summary.protocols = {};
+  for (const [protocol] of runs) {
+    summary.protocols[protocol] = summary.protocols[protocol] || { checked: 0, working: 0, best: 0 };
+  }
+  for (const entries of byKey.values()) {
+    for (const e of entries) {
+      summary.protocols[e.protocol].checked++;
+      if (e.status === "working") summary.protocols[e.protocol].working++;
+    }
+  }
+  for (const protocol of bestByKey.values()) summary.protocols[protocol].best++;
+
+  const last = runs[runs.length - 1][1].metadata || {};
+  const metadata = {
+    ...last,
+    total_checked: proxies.length,
+    type_used: "auto",
+    checks_submitted: runs.reduce((sum, [, r]) => sum + (r.proxies?.length || 0), 0),
+  };
+
+  // Custom URL validation: a proxy passes a URL if it passed it over its best protocol
+  let custom_url_validation = null;
+  const validated = runs.filter(([, r]) => r.custom_url_validation);
+  if (validated.length) {
+    const byUrl = new Map();
+    for (const [protocol, result] of validated) {
+      for (const entry of perUrlResults(result.custom_url_validation)) {
+        const key = entry.name ?? entry.url;
+        // Failure reasons are per protocol run; they do not add up to the best-protocol verdicts
+        const { failures, ...rest } = entry;
+        const target = byUrl.get(key) || { ...rest, successful_proxies: [] };
+        for (const line of entry.successful_proxies || []) {
+          const parsed = parseProxyString(line);
+          if (parsed && bestByKey.get(proxyKey(parsed)) === protocol) target.successful_proxies.push(line);
+        }
+        byUrl.set(key, target);
+      }
+    }
+    const per_url_summary = [...byUrl.values()].map(entry => {
+      const success_count = entry.successful_proxies.length;
+      return {
+        ...entry,
+        total_tested: working.length,
+        success_count,
+        failed_count: working.length - success_count,
+        success_rate: formatRate(success_count, working.length),
+      };
+    });
+    custom_url_validation = {
+      summary: { total_urls_tested: per_url_summary.length, total_proxies_tested: working.length },
+      per_url_summary,
+    };
+  }
+
+  return { summary, metadata, proxies, working, failed, custom_url_validation };
+}
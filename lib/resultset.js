@@ -0,0 +1,338 @@
+import { parseProxyString } from "./utils.js";
+import { perUrlResults, passedByUrl, proxyKey, latency, summarizeProxies, formatRate } from "./results.js";
+
+const ANONYMITY_RANK = { elite: 0, anonymous: 1, transparent: 2 };
+
+export const SORT_KEYS = ["latency", "country", "anonymity", "isp", "protocol"];
+
+// Result fields groupBy() reads from the entry; any other key is a label
+export const GROUP_KEYS = ["status", "country", "isp", "anonymity", "protocol"];
+
+/**
+ * Value of a result field or label, as a string (null when missing)
+ */
+function fieldValue(entry, key) {
+  const value = GROUP_KEYS.includes(key) ? entry[key] : entry.labels?.[key];
+  return value === undefined || value === null || value === "" ? null : String(value);
+}
+
+/**
+ * Accept `"US,DE"`, `["US", "DE"]` or several arguments and return a flat list
+ */
+function listArg(values) {
+  return values
+    .flat()
+    .flatMap(v => String(v).split(","))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+function compareText(a, b) {
+  return String(a ?? "").localeCompare(String(b ?? ""));
+}
+
+const SORTERS = {
+  latency: (a, b) => (latency(a) === latency(b) ? 0 : latency(a) - latency(b)),
+  country: (a, b) => compareText(a.country, b.country),
+  anonymity: (a, b) => (ANONYMITY_RANK[a.anonymity] ?? 3) - (ANONYMITY_RANK[b.anonymity] ?? 3),
+  isp: (a, b) => compareText(a.isp, b.isp),
+  protocol: (a, b) => compareText(a.protocol, b.protocol),
+};
+
+/**
+ * Per-protocol counts of a list of entries, including `best` for auto-detected entries
+ */
+function protocolCounts(proxies) {
+  const out = {};
+  const slot = protocol => (out[protocol] = out[protocol] || { checked: 0, working: 0 });
+  for (const p of proxies) {
+    if (p.protocolResults) {
+      for (const [protocol, r] of Object.entries(p.protocolResults)) {
+        const counts = slot(protocol);
+        counts.best = counts.best || 0;
+        counts.checked++;
+        if (r.status === "working") counts.working++;
+        if (p.protocol === protocol) counts.best++;
+      }
+    } else if (p.protocol) {
+      slot(p.protocol).checked++;
+      if (p.status === "working") out[p.protocol].working++;
+    }
+  }
+  return out;
+}
+
+/**
+ * ResultSet
+ * Chainable, immutable query over the proxy entries of a check() result.
+ * Every filter returns a new ResultSet; the original result is never modified.
+ *
+ * @example
+ * const best = ResultSet.from(result)
+ *   .working()
+ *   .country('US', 'DE')
+ *   .anonymity('elite')
+ *   .maxLatency(800)
+ *   .passed('https://discord.com')
+ *   .label('provider', 'acme')
+ *   .sort('latency')
+ *   .limit(100);
+ * fs.writeFileSync('deploy.txt', client.export(best.toArray(), 'txt', true));
+ */
+export class ResultSet {
+  /**
+   * @param {Array<Object>} entries - Proxy result entries
+   * @param {Object} [result] - The check() result the entries come from (for custom URL data)
+   */
+  constructor(entries, result = null) {
+    this.entries = entries;
+    this.result = result;
+    this._passedByUrl = null;
+  }
+
+  /**
+   * Start a query over a check() result
+   * @param {Object} result - Result returned by check(), getResult() or LocalChecker
+   * @returns {ResultSet}
+   */
+  static from(result) {
+    return new ResultSet(result.proxies || [], result);
+  }
+
+  _derive(entries) {
+    const set = new ResultSet(entries, this.result);
+    set._passedByUrl = this._passedByUrl;
+    return set;
+  }
+
+  /** Number of entries in the set */
+  get size() {
+    return this.entries.length;
+  }
+
+  [Symbol.iterator]() {
+    return this.entries[Symbol.iterator]();
+  }
+
+  /** Keep entries matching a predicate */
+  where(predicate) {
+    return this._derive(this.entries.filter(predicate));
+  }
+
+  /** Keep working proxies */
+  working() {
+    return this.where(p => p.status === "working");
+  }
+
+  /** Keep failed proxies */
+  failed() {
+    return this.where(p => p.status !== "working");
+  }
+
+  /**
+   * Keep proxies located in one of the given countries
+   * @param {...(string|Array<string>)} codes - Country codes or names, case-insensitive
+   */
+  country(...codes) {
+    const wanted = new Set(listArg(codes).map(c => c.toLowerCase()));
+    return this.where(p => p.country && wanted.has(String(p.country).toLowerCase()));
+  }
+
+  /**
+   * Keep proxies whose ISP matches
+   * @param {string|RegExp} pattern - Case-insensitive substring, or a regular expression
+   */
+  isp(pattern) {
+    const test = pattern instanceof RegExp
+      ? isp => pattern.test(isp)
+      : isp => isp.toLowerCase().includes(String(pattern).toLowerCase());
+    return this.where(p => Boolean(p.isp) && test(String(p.isp)));
+  }
+
+  /**
+   * Keep proxies with one of the given anonymity levels
+   * @param {...(string|Array<string>)} levels - elite, anonymous, transparent
+   */
+  anonymity(...levels) {
+    const wanted = new Set(listArg(levels).map(l => l.toLowerCase()));
+    return this.where(p => p.anonymity && wanted.has(String(p.anonymity).toLowerCase()));
+  }
+
+  /**
+   * Keep proxies that answered within `ms` milliseconds (proxies without a time are dropped)
+   */
+  maxLatency(ms) {
+    return this.where(p => latency(p) <= Number(ms));
+  }
+
+  /**
+   * Keep proxies that work with one of the given protocols
+   * With `type: 'auto'` results, every protocol in `supportedProtocols` counts.
+   * @param {...(string|Array<string>)} protocols - http, socks4, socks5
+   */
+  protocol(...protocols) {
+    const wanted = new Set(listArg(protocols).map(p => p.toLowerCase()));
+    return this.where(p => (p.supportedProtocols?.length ? p.supportedProtocols : [p.protocol])
+      .some(protocol => protocol && wanted.has(protocol)));
+  }
+
+  /**
+   * Keep proxies by one of their input labels (extra CSV/JSON fields such as provider or pool)
+   * @param {string} key - Label name
+   * @param {...(string|Array<string>)} values - Accepted values, case-insensitive; omit to keep
+   *   every proxy that has the label
+   */
+  label(key, ...values) {
+    const wanted = new Set(listArg(values).map(v => v.toLowerCase()));
+    return this.where(p => {
+      const value = p.labels?.[key];
+      if (value === undefined || value === null || value === "") return false;
+      return !wanted.size || wanted.has(String(value).toLowerCase());
+    });
+  }
+
+  /**
+   * Split the set by a result field or a label
+   * @param {string} key - status, country, isp, anonymity, protocol, or a label name
+   * @returns {Map<string|null, ResultSet>} Value → entries with it, in order of first appearance;
+   *   entries without the field are under `null`
+   *
+   * @example
+   * for (const [provider, set] of ResultSet.from(result).groupBy('provider')) {
+   *   console.log(provider, `${set.working().size}/${set.size}`);
+   * }
+   */
+  groupBy(key) {
+    const groups = new Map();
+    for (const entry of this.entries) {
+      const value = fieldValue(entry, key);
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(entry);
+    }
+    return new Map([...groups].map(([value, entries]) => [value, this._derive(entries)]));
+  }
+
+  // Rule name → Set of proxy keys that passed it
+  _passed() {
+    if (!this._passedByUrl) {
+      this._passedByUrl = passedByUrl(this.result?.custom_url_validation);
+    }
+    return this._passedByUrl;
+  }
+
+  _urlSets(url) {
+    const passed = this._passed();
+    if (url === undefined) return [...passed.values()];
+    if (passed.has(url)) return [passed.get(url)];
+    // A URL stands for every rule on it
+    const sets = perUrlResults(this.result?.custom_url_validation)
+      .filter(entry => entry.url === url)
+      .map(entry => passed.get(entry.name ?? entry.url));
+    if (!sets.length) {
+      throw new Error(`No custom URL validation for ${url}`);
+    }
+    return sets;
+  }
+
+  /**
+   * Keep proxies that passed a custom URL check
+   * @param {string} [url] - Rule name or custom URL; omit to require every rule
+   */
+  passed(url) {
+    const sets = this._urlSets(url);
+    return this.where(p => sets.every(set => set.has(proxyKey(p))));
+  }
+
+  /**
+   * Keep proxies that failed a custom URL check
+   * @param {string} [url] - Rule name or custom URL; omit to match proxies that failed at least one
+   */
+  failedUrl(url) {
+    const sets = this._urlSets(url);
+    return this.where(p => sets.some(set => !set.has(proxyKey(p))));
+  }
+
+  /**
+   * Sort the entries
+   * @param {string|Function} key - latency, country, anonymity, isp, protocol, or a compare function;
+   *   prefix a key with `-` to reverse it (`-latency`)
+   * @param {string} [order=asc] - asc or desc
+   */
+  sort(key, order = "asc") {
+    let compare = key;
+    if (typeof key === "string") {
+      const desc = key.startsWith("-");
+      const name = desc ? key.slice(1) : key;
+      compare = SORTERS[name];
+      if (!compare) {
+        throw new Error(`Unknown sort key: ${name}. Use ${SORT_KEYS.join(", ")}`);
+      }
+      if (desc) order = order === "asc" ? "desc" : "asc";
+    }
+    const sign = order === "desc" ? -1 : 1;
+    return this._derive([...this.entries].sort((a, b) => sign * compare(a, b)));
+  }
+
+  /** Keep the first `n` entries */
+  limit(n) {
+    return this._derive(this.entries.slice(0, Math.max(0, Number(n))));
+  }
+
+  /** Plain array of the entries */
+  toArray() {
+    return [...this.entries];
+  }
+
+  /**
+   * A check()-shaped result containing only this set
+   * The summary is recomputed and custom URL results are narrowed to the kept proxies.
+   * @returns {Object}
+   */
+  toResult() {
+    const proxies = this.toArray();
+    const working = proxies.filter(p => p.status === "working");
+    const keys = new Set(proxies.map(proxyKey));
+    const { summary = {}, metadata = {} } = this.result || {};
+
+    let custom_url_validation = null;
+    const perUrl = perUrlResults(this.result?.custom_url_validation);
+    if (perUrl.length) {
+      const per_url_summary = perUrl.map(entry => {
+        const successful_proxies = (entry.successful_proxies || []).filter(line => {
+          const parsed = parseProxyString(line);
+          return parsed && keys.has(proxyKey(parsed));
+        });
+        return {
+          ...entry,
+          total_tested: working.length,
+          success_count: successful_proxies.length,
+          failed_count: working.length - successful_proxies.length,
+          success_rate: formatRate(successful_proxies.length, working.length),
+          successful_proxies,
+        };
+      });
+      custom_url_validation = {
+        summary: {
+          ...this.result.custom_url_validation.summary,
+          total_urls_tested: per_url_summary.length,
+          total_proxies_tested: working.length,
+        },
+        per_url_summary,
+      };
+    }
+
+    const nextSummary = { ...summary, ...summarizeProxies(proxies) };
+    if (summary.protocols) {
+      nextSummary.protocols = protocolCounts(proxies);
+    }
+
+    return {
+      summary: nextSummary,
+      metadata: { ...metadata, total_checked: proxies.length },
+      proxies,
+      working,
+      failed: proxies.filter(p => p.status !== "working"),
+      custom_url_validation,
+    };
+  }
+}
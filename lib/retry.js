@@ -0,0 +1,65 @@
+import { sleep } from "./utils.js";
+import { CancelledError } from "./errors.js";
+
+export const DEFAULT_RETRY = {
+  retries: 3,
+  minDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+};
+
+/**
+ * Resolve the `retry` client option into a full retry policy
+ * @param {Object|boolean|number} [option] - `false` disables retries, a number sets `retries`
+ * @returns {Object} Retry policy
+ */
+export function retryPolicy(option) {
+  if (option === false) return { ...DEFAULT_RETRY, retries: 0 };
+  if (typeof option === "number") return { ...DEFAULT_RETRY, retries: option };
+  return { ...DEFAULT_RETRY, ...option };
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with full jitter,
+ * or the server's Retry-After when it asked for longer.
+ */
+export function backoffDelay(attempt, policy, err) {
+  const exp = Math.min(policy.maxDelay, policy.minDelay * policy.factor ** attempt);
+  const delay = policy.jitter ? Math.round(Math.random() * exp) : exp;
+  return err?.retryAfter !== undefined ? Math.max(delay, Math.min(err.retryAfter, policy.maxDelay)) : delay;
+}
+
+/**
+ * Run `fn` and retry it while it throws retryable errors
+ * @param {Function} fn - Async function receiving the attempt number
+ * @param {Object} policy - Policy from retryPolicy()
+ * @param {Function} [policy.onRetry] - Called with (err, attempt, delay) before each retry
+ * @param {Function} [policy.shouldRetry] - Decides whether an error is retried (default: `err.retryable`)
+ * @param {AbortSignal} [policy.signal] - Stops retrying (and waiting) once aborted
+ */
+export async function withRetry(fn, policy) {
+  for (let attempt = 0; ; attempt++) {
+    throwIfCancelled(policy.signal);
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      const retryable = policy.shouldRetry ? policy.shouldRetry(err) : err.retryable;
+      if (!retryable || attempt >= policy.retries || policy.signal?.aborted) throw err;
+      const delay = backoffDelay(attempt, policy, err);
+      policy.onRetry?.(err, attempt + 1, delay);
+      await sleep(delay, policy.signal);
+    }
+  }
+}
+
+/**
+ * Throw a CancelledError when the signal has been aborted
+ * @param {AbortSignal} [signal]
+ * @throws {CancelledError}
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new CancelledError("Check cancelled", { cause: signal.reason });
+  }
+}
@@ -1,33 +1,272 @@
 import fetch from "node-fetch";
 import WebSocket from "ws";
-import { parseProxies, formatOutput } from "./utils.js";
+import {
+  loadProxyList,
+  chunk,
+  mapLimit,
+  parseProxyString,
+  validateType,
+  autoProtocols,
+  validateAutoStrategy,
+  positiveInteger,
+} from "./utils.js";
+import {
+  mergeResults,
+  perUrlResults,
+  formatRate,
+  groupByProtocol,
+  withProtocol,
+  protocolSummary,
+  proxyKey,
+  mergeAutoResults,
+  attachLabels,
+  labelsByKey,
+} from "./results.js";
+import {
+  ClearProxyError,
+  NetworkError,
+  ResultFetchError,
+  CancelledError,
+  errorFromResponse,
+  refusedSubmission,
+} from "./errors.js";
+import { retryPolicy, withRetry, throwIfCancelled } from "./retry.js";
+import { parseProgressEvent, estimateEta } from "./events.js";
+import { ProgressChannel } from "./progress.js";
+import { formatOutput } from "./exporters.js";
+import { CheckJob, recordJob } from "./jobs.js";
+import { RegionMatrix, regionCodes, parseRegions } from "./regions.js";
+import { Watcher } from "./watch.js";
+import { RotatingAgent } from "./agent.js";
+import { ConfigStore } from "./config.js";
+import { recordHistory } from "./history.js";
+import { resolveCustomUrls, nameRuleResults, localOnlyFields, apiRules, CustomUrlSpecError } from "./customurls.js";
+import { CustomUrlMatrix } from "./urlmatrix.js";
 
-const API_BASE = "https://api.clearproxy.io";
+export const API_BASE = "https://api.clearproxy.io";
+export const DEFAULT_TIMEOUT = 4000;
+export const DEFAULT_BATCH_SIZE = 5000;
+
+function newJobId() {
+  return `sdk_${Math.random().toString(36).substring(2, 11)}_${Date.now()}`;
+}
+
+/**
+ * Shape a downloaded result file into a check() result
+ */
+function toResult(resultData, data = {}) {
+  return {
+    summary: resultData.summary || {},
+    metadata: resultData.metadata || {},
+    proxies: resultData.proxies || [],
+    working: resultData.proxies?.filter(p => p.status === "working") || [],
+    failed: resultData.proxies?.filter(p => p.status !== "working") || [],
+    custom_url_validation: resultData.custom_url_validation || data.custom_url_validation || null,
+  };
+}
 
 /**
  * ClearProxy SDK
  * Lightweight SDK for checking proxies via the ClearProxy.io API.
  */
 export class ClearProxy {
-  constructor(apiKey) {
+  /**
+   * @param {string} apiKey - ClearProxy.io API key
+   * @param {Object} [options] - Client options
+   * @param {string} [options.baseURL] - API base URL (default: https://api.clearproxy.io)
+   * @param {Function} [options.fetch] - fetch implementation used for every HTTP request
+   * @param {Function} [options.webSocket] - Factory `(url, { headers }) => socket` for the progress socket
+   * @param {Object} [options.headers] - Extra headers sent with every API request
+   * @param {string} [options.userAgent] - User-Agent header value
+   * @param {number} [options.timeout=4000] - Default proxy timeout for check() in milliseconds
+   * @param {string} [options.region] - Default region for check()
+   * @param {string} [options.type=http] - Default proxy type for check()
+   * @param {Object} [options.presets] - Custom URL presets, name → rules, usable by name in `customUrls`
+   * @param {string} [options.localRuleFields=reject] - What check() does with custom URL rule fields the
+   *   API does not evaluate (LOCAL_ONLY_FIELDS): `reject` throws before anything is submitted, `ignore`
+   *   drops them
+   * @param {Object|number|boolean} [options.retry] - Retry policy for API calls: `{ retries, minDelay,
+   *   maxDelay, factor, jitter, onRetry }`, a retry count, or `false` to disable (default: 3 retries)
+   * @param {Object} [options.progress] - Progress socket tuning: `{ connectTimeout, heartbeatInterval,
+   *   heartbeatTimeout, maxReconnects }` (default: 5s, 15s, 45s, 5)
+   * @param {JobStore} [options.jobStore] - Records every submitted API job so getResult() can fetch it later
+   * @param {HistoryStore} [options.history] - Records the verdict of every proxy after each check()
+   *
+   * @example
+   * // Point the client at a local mock server
+   * const client = new ClearProxy('clearpx_yourkey', {
+   *   baseURL: 'http://localhost:3000',
+   *   headers: { 'X-Env': 'staging' }
+   * });
+   */
+  constructor(apiKey, options = {}) {
     if (!apiKey) {
       throw new Error("API key is required");
     }
     this.apiKey = apiKey;
-    this.baseURL = API_BASE;
+    this.baseURL = (options.baseURL || API_BASE).replace(/\/+$/, "");
+    this.fetch = options.fetch || fetch;
+    this.webSocket = options.webSocket || ((url, opts) => new WebSocket(url, opts));
+    this.headers = { ...options.headers };
+    this.userAgent = options.userAgent;
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT;
+    this.region = options.region;
+    this.type = options.type ?? "http";
+    this.presets = options.presets || {};
+    this.localRuleFields = options.localRuleFields ?? "reject";
+    this.retry = retryPolicy(options.retry);
+    this.progress = { ...options.progress };
+    this.jobStore = options.jobStore || null;
+    this.history = options.history || null;
+  }
+
+  /**
+   * Client for a profile saved with `clearproxy config`
+   * The profile's key, region, type and timeout become the client defaults; CLEARPROXY_API_KEY
+   * overrides the key and CLEARPROXY_PROFILE picks the profile when none is given.
+   * @param {string} [profile] - Profile name (default: CLEARPROXY_PROFILE, then the current profile)
+   * @param {Object} [options] - Client options, which win over the profile; plus:
+   * @param {string} [options.configFile] - Config file (default: ~/.clearproxyrc)
+   * @returns {ClearProxy}
+   * @throws {Error} When the profile does not exist or has no API key
+   *
+   * @example
+   * const client = ClearProxy.fromProfile('staging');
+   * await client.check('proxies.txt', { customUrls: 'shop' });   // a preset of the profile or a built-in one
+   */
+  static fromProfile(profile, { configFile, ...options } = {}) {
+    const settings = new ConfigStore(configFile).resolve({ profile });
+    if (!settings.apiKey) {
+      throw new Error(`Profile ${settings.name} has no API key. Set one with clearproxy config set apiKey <key> or CLEARPROXY_API_KEY`);
+    }
+    const client = new ClearProxy(settings.apiKey, {
+      region: settings.region,
+      type: settings.type,
+      timeout: settings.timeout,
+      presets: settings.presets,
+      ...options,
+    });
+    client.profile = settings;
+    return client;
+  }
+
+  /**
+   * Build headers for an API request
+   * @private
+   */
+  _headers() {
+    return {
+      ...this.headers,
+      ...(this.userAgent ? { "User-Agent": this.userAgent } : {}),
+      "Authorization": `Bearer ${this.apiKey}`,
+      "Content-Type": "application/json",
+    };
+  }
+
+  /**
+   * Send a request to the ClearProxy API and return the parsed JSON body
+   * Retryable failures (429, 5xx, network) are retried according to the client retry policy;
+   * `shouldRetry` narrows that down for requests that are not safe to repeat.
+   * @private
+   * @throws {ClearProxyError}
+   */
+  async _request(endpoint, { method = "GET", body, signal, shouldRetry } = {}) {
+    return withRetry(async () => {
+      let res;
+      try {
+        res = await this.fetch(`${this.baseURL}${endpoint}`, {
+          method,
+          headers: this._headers(),
+          body: body ? JSON.stringify(body) : undefined,
+          signal,
+        });
+      } catch (err) {
+        throwIfCancelled(signal);
+        throw new NetworkError(`Network error on ${method} ${endpoint}: ${err.message}`, { cause: err });
+      }
+
+      if (!res.ok) {
+        throw await errorFromResponse(res);
+      }
+
+      return await res.json();
+    }, { ...this.retry, signal, shouldRetry });
+  }
+
+  /**
+   * Download a finished job's result file
+   * @private
+   * @throws {ResultFetchError}
+   */
+  async _fetchResult(resultUrl, signal) {
+    return withRetry(async () => {
+      let res;
+      try {
+        res = await this.fetch(resultUrl, { signal });
+      } catch (err) {
+        throwIfCancelled(signal);
+        throw new ResultFetchError(`Failed to fetch result: ${err.message}`, { cause: err });
+      }
+
+      if (!res.ok) {
+        const text = await res.text().catch(() => "");
+        throw new ResultFetchError(`Failed to fetch result: ${res.status}`, {
+          status: res.status,
+          body: text,
+          requestId: res.headers?.get?.("x-request-id") || undefined,
+        });
+      }
+
+      return await res.json();
+    }, { ...this.retry, signal });
+  }
+
+  /**
+   * Create the real-time progress channel for a job
+   * @private
+   */
+  _progressChannel(jobId) {
+    const wsURL = `${this.baseURL.replace(/^http/, "ws")}/ws?jobId=${encodeURIComponent(jobId)}`;
+    // The extra client headers go along, for gateways in front of the API that require them
+    const headers = { ...this.headers, ...(this.userAgent ? { "User-Agent": this.userAgent } : {}) };
+    return new ProgressChannel(wsURL, { ...this.progress, webSocket: this.webSocket, headers });
   }
 
   /**
    * Check proxies using ClearProxy API
    * @param {string|Array} input - File path, array of proxies, or single proxy string
    * @param {Object} options - Check options
-   * @param {string} [options.region] - Region code (us, eu, sg, etc)
-   * @param {number} [options.timeout=4000] - Timeout in milliseconds
-   * @param {string} [options.type=http] - Proxy type: http, socks4, socks5
-   * @param {Array} [options.customUrls] - Array of custom URL validation objects
+   * @param {string} [options.region] - Region code (us, eu, sg, etc) (default: client region)
+   * @param {number} [options.timeout] - Timeout in milliseconds (default: client timeout, 4000)
+   * @param {string} [options.type] - Proxy type: http, socks4, socks5, or auto (default: client type, http). Lines with a scheme
+   *   (`socks5://host:port`) are checked with that protocol instead; mixed lists are split per
+   *   protocol and merged back into one result. With `auto`, every proxy without a scheme is
+   *   checked with each of `autoProtocols` and gets `supportedProtocols` plus its fastest `protocol`
+   * @param {Array<string>} [options.autoProtocols] - Protocols tried by `auto` (default: http, socks5, socks4)
+   * @param {string} [options.autoStrategy=first] - `first` stops at the first protocol that works (cost:
+   *   at most proxies × protocols); `all` checks every protocol to pick the fastest (cost: proxies × protocols)
+   * @param {Array|Object|string} [options.customUrls] - Custom URL rules, a `{ presets, rules }` spec, a
+   *   preset name (`discord`, `google`, `ecommerce` or a client preset) or a .json/.yaml spec file;
+   *   checked with resolveCustomUrls() before anything is submitted. Rules using LOCAL_ONLY_FIELDS
+   *   are refused unless the client has `localRuleFields: 'ignore'`
    * @param {string} [options.jobId] - Client-generated unique Job ID for real-time tracking
    * @param {Function} [options.onProgress] - Callback function for real-time progress updates
-   * @returns {Promise<Object>} Result object with summary, metadata, proxies, and custom validation
+   * @param {Function} [options.onStatus] - Called with `{ status, jobId, reason, attempt }` when the
+   *   progress socket changes state: `connecting`, `connected`, `reconnecting`, `degraded`
+   *   (live progress given up; the result is still fetched) or `closed`
+   * @param {number} [options.batchSize=5000] - Maximum proxies per /check request; larger lists are split
+   * @param {number} [options.concurrency=2] - Maximum batches in flight at once
+   * @param {number} [options.batchRetries=1] - Extra attempts at downloading a batch's result after a
+   *   retryable failure; a batch the API accepted is never submitted again
+   * @param {AbortSignal} [options.signal] - Cancels the check; it then rejects with CancelledError
+   * @param {Function} [options.onSubmit] - Called with `{ jobId, resultUrl, protocol, size }` each time
+   *   the API accepts a job (once per protocol group and batch)
+   * @param {Object|Map} [options.labels] - Extra labels per proxy (`{ "1.1.1.1:8080": { provider: "acme" } }`),
+   *   merged over the ones read from CSV/JSON records
+   * @returns {Promise<Object>} Result object with summary, metadata, proxies, and custom validation.
+   *   When some batches still fail after retrying, `failed_batches` lists them and the result
+   *   covers only the batches that succeeded. Entries whose input record had extra fields
+   *   (provider, pool, cost, ...) carry them as `labels`.
    * 
    * @example
    * // Basic check
@@ -56,212 +295,726 @@ export class ClearProxy {
    * });
    * 
    * console.log(result.custom_url_validation);
+   *
+   * @example
+   * // Large list, split into batches of 10k with 3 in flight
+   * const result = await client.check('scraped.txt', { batchSize: 10000, concurrency: 3 });
+   * if (result.failed_batches) console.warn(result.failed_batches);
+   *
+   * @example
+   * // Detect the protocol of each proxy
+   * const result = await client.check('unknown.txt', { type: 'auto' });
+   * console.log(result.summary.protocols); // { http: { checked, working, best }, ... }
+   * console.log(result.working[0].supportedProtocols); // ['socks5', 'socks4']
    */
   async check(input, options = {}) {
     const {
-      region,
-      timeout = 4000,
-      type = "http",
+      region = this.region,
+      timeout = this.timeout,
+      type = this.type,
       customUrls = [],
       jobId,
-      onProgress
+      onProgress,
+      onStatus,
+      batchSize = DEFAULT_BATCH_SIZE,
+      concurrency = 2,
+      batchRetries = 1,
+      autoStrategy = "first",
+      signal,
+      onSubmit,
     } = options;
 
     let effectiveJobId = jobId;
-    if (onProgress && !effectiveJobId) {
-      effectiveJobId = `sdk_${Math.random().toString(36).substring(2, 11)}_${Date.now()}`;
+    if ((onProgress || this.jobStore) && !effectiveJobId) {
+      effectiveJobId = newJobId();
     }
 
-    const allowedTypes = ["http", "socks4", "socks5"];
-    if (!allowedTypes.includes(type)) {
-      throw new Error(`Invalid type '${type}'. Allowed: ${allowedTypes.join(", ")}`);
+    validateType(type);
+    validateAutoStrategy(autoStrategy);
+    positiveInteger(batchSize, "batchSize");
+    positiveInteger(concurrency, "concurrency");
+    const auto = type === "auto" ? { protocols: autoProtocols(options.autoProtocols), strategy: autoStrategy } : null;
+
+    // A bad spec fails here, before any check is spent
+    const rules = resolveCustomUrls(customUrls, { presets: this.presets });
+    const localOnly = localOnlyFields(rules);
+    if (localOnly.length && this.localRuleFields !== "ignore") {
+      throw new CustomUrlSpecError(localOnly.flatMap(({ name, fields }) => fields.map(field => ({
+        path: `${name}.${field}`,
+        message: "only checked by local checks (LocalChecker); the API ignores it. Use the client option localRuleFields: 'ignore' to drop it",
+      }))));
     }
 
-    // Validate customUrls if provided
-    if (customUrls.length > 0) {
-      if (!Array.isArray(customUrls)) {
-        throw new Error("customUrls must be an array");
-      }
-      customUrls.forEach((urlConfig, idx) => {
-        if (!urlConfig.url) {
-          throw new Error(`Custom URL at index ${idx} is missing 'url' field`);
-        }
-        if (typeof urlConfig.url !== 'string') {
-          throw new Error(`Custom URL at index ${idx}: 'url' must be a string`);
-        }
-      });
+    const { proxies, labels: inputLabels } = await loadProxyList(input);
+
+    if (!proxies.length) {
+      throw new Error("No proxies found in input");
+    }
+
+    // Labels never reach the API; they are joined back onto the entries by host, port and credentials
+    const labels = labelsByKey(inputLabels, options.labels);
+
+    // Job store write errors of every batch end up here, then on the result as `jobs_error`
+    const jobLog = { error: null };
+    const params = { region, timeout, customUrls: apiRules(rules), signal, onSubmit, parent: effectiveJobId, jobLog };
+    const listOptions = { onProgress, onStatus, batchSize, concurrency, batchRetries };
+
+    // Lines with a scheme keep their protocol; `type` applies to the rest
+    const groups = groupByProtocol(proxies, type);
+    const runGroup = async (protocol, list, opts) => (protocol === "auto"
+      ? this._checkAuto(list, { ...params, auto: true }, opts, auto)
+      : withProtocol(await this._checkList(list, { ...params, type: protocol }, opts), protocol));
+
+    if (groups.size === 1) {
+      const [[protocol, list]] = groups;
+      const result = attachLabels(await runGroup(protocol, list, { ...listOptions, jobId: effectiveJobId }), labels);
+      if (jobLog.error) result.jobs_error = jobLog.error;
+      return this._recordHistory(result, effectiveJobId, region);
     }
 
-    let proxies = [];
-    if (typeof input === "string") {
+    const results = [];
+    const failedBatches = [];
+    let firstError;
+    for (const [protocol, list] of groups) {
       try {
-        proxies = await parseProxies(input);
-      } catch {
-        proxies = [input];
+        const result = await runGroup(protocol, list, {
+          ...listOptions,
+          jobId: effectiveJobId ? `${effectiveJobId}_${protocol}` : undefined,
+          onProgress: onProgress && (event => onProgress({ ...event, protocol })),
+          onStatus: onStatus && (event => onStatus({ ...event, protocol })),
+        });
+        results.push(result);
+        failedBatches.push(...(result.failed_batches || []));
+      } catch (err) {
+        if (err instanceof CancelledError) throw err;
+        firstError = firstError || err;
+        failedBatches.push({ index: 0, size: list.length, proxies: list, protocol, error: err.message });
       }
-    } else if (Array.isArray(input)) {
-      proxies = await parseProxies(input);
-    } else {
-      throw new Error("Input must be a file path, proxy string, or array of proxies");
     }
 
+    if (!results.length) {
+      throw firstError;
+    }
+
+    const merged = mergeResults(results);
+    merged.summary = { ...merged.summary, protocols: protocolSummary(merged.proxies) };
+    merged.metadata = { ...merged.metadata, type_used: "mixed" };
+    if (failedBatches.length) {
+      merged.failed_batches = failedBatches;
+    }
+    const result = attachLabels(merged, labels);
+    if (jobLog.error) result.jobs_error = jobLog.error;
+    return this._recordHistory(result, effectiveJobId, region);
+  }
+
+  /**
+   * Append a finished check to the client's history store, if it has one
+   * A history that cannot be written never costs the result: the error goes to `history_error`.
+   * @private
+   */
+  _recordHistory(result, jobId, region) {
+    return recordHistory(this.history, result, { jobId, region: region ?? result.metadata?.region_used });
+  }
+
+  /**
+   * Check the same list from several regions and build a proxy × region matrix
+   * Every region is a separate check, so this costs proxies × regions checks.
+   * @param {string|Array} input - File path, array of proxies, or single proxy string
+   * @param {string|Array<string>} regions - Region codes (`["us1", "sg1"]` or `"us1,sg1"`), or `"all"`
+   *   for every region from regions()
+   * @param {Object} [options] - Same options as check(), except `region`
+   * @param {number} [options.regionConcurrency=3] - Regions checked at once
+   * `onProgress` and `onStatus` events get a `region` field; `onRegion` is called with
+   * `{ region, result }` or `{ region, error }` as each region finishes.
+   * @returns {Promise<RegionMatrix>} Regions whose check failed are listed in `failedRegions`
+   * @throws {ClearProxyError} The first error when every region failed
+   *
+   * @example
+   * const matrix = await client.checkRegions('proxies.txt', 'us1,sg1,gb1');
+   * console.log(matrix.summary()); // { regions: { us1: { checked, working } }, everywhere, only: { sg1: 3 } }
+   */
+  async checkRegions(input, regions, options = {}) {
+    const { regionConcurrency = 3, onRegion, onProgress, onStatus, jobId, ...checkOptions } = options;
+    const codes = regions === "all" ? regionCodes(await this.regions()) : parseRegions(regions);
+    if (!codes.length) {
+      throw new Error("No regions to check");
+    }
+
+    const { proxies, labels } = await loadProxyList(input);
     if (!proxies.length) {
       throw new Error("No proxies found in input");
     }
+    const allLabels = labelsByKey(labels, options.labels);
 
-    const res = await fetch(`${this.baseURL}/check`, {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${this.apiKey}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        proxies,
-        region: region || undefined,
-        timeout: Number(timeout),
-        type,
-        customUrls: customUrls.length > 0 ? customUrls : undefined,
-        jobId: effectiveJobId || undefined,
-      }),
+    const results = {};
+    const failedRegions = [];
+    let firstError;
+    await mapLimit(codes, regionConcurrency, async region => {
+      try {
+        const result = await this.check(proxies, {
+          ...checkOptions,
+          region,
+          labels: allLabels,
+          jobId: jobId ? `${jobId}_${region}` : undefined,
+          onProgress: onProgress && (event => onProgress({ ...event, region })),
+          onStatus: onStatus && (event => onStatus({ ...event, region })),
+        });
+        results[region] = result;
+        onRegion?.({ region, result });
+      } catch (err) {
+        if (err instanceof CancelledError) throw err;
+        firstError = firstError || err;
+        failedRegions.push({ region, error: err.message });
+        onRegion?.({ region, error: err });
+      }
     });
 
-    // Start WebSocket if onProgress is provided
-    let ws;
-    if (onProgress && effectiveJobId) {
-      const wsURL = `${this.baseURL.replace("http", "ws")}/ws?jobId=${effectiveJobId}`;
-      ws = new WebSocket(wsURL);
-
-      ws.on("message", (data) => {
-        try {
-          const event = JSON.parse(data);
-          onProgress(event);
-        } catch (e) {
-          // Ignore invalid JSON
+    if (!Object.keys(results).length) {
+      throw firstError;
+    }
+    // Columns follow the requested order, not completion order
+    const ordered = Object.fromEntries(codes.filter(region => results[region]).map(region => [region, results[region]]));
+    return RegionMatrix.fromResults(ordered, failedRegions);
+  }
+
+  /**
+   * Check proxies and stream typed events as the job runs
+   * Accepts the same input and options as check(). Per-proxy verdicts are yielded as soon as
+   * the progress socket reports them; any verdict the socket missed (or all of them, if it
+   * dropped) is yielded from the final result file before the `summary` event.
+   * With `type: 'auto'`, verdicts are only final once every protocol was tried, so `proxy`
+   * events arrive at the end.
+   * @param {string|Array} input - File path, array of proxies, or single proxy string
+   * @param {Object} [options] - Same options as check(); `onProgress` still receives raw frames. Leaving
+   *   the loop early cancels the check, as aborting `signal` does.
+   * @returns {AsyncGenerator<Object>} Events: `queued`, `progress`, `proxy`, `status`, `connection`, `summary`
+   *
+   * @example
+   * for await (const event of client.checkStream('proxies.txt', { type: 'socks5' })) {
+   *   if (event.type === 'progress') console.log(`${event.checked}/${event.total}, eta ${event.eta}ms`);
+   *   if (event.type === 'proxy' && event.proxy.status === 'working') pool.add(event.proxy);
+   *   if (event.type === 'summary') console.log(event.summary);
+   * }
+   */
+  async *checkStream(input, options = {}) {
+    const { proxies, labels: inputLabels } = await loadProxyList(input);
+    const labels = labelsByKey(inputLabels, options.labels);
+    const jobId = options.jobId || newJobId();
+    const live = (options.type ?? this.type) !== "auto";
+    const startedAt = Date.now();
+
+    const queue = [];
+    let wake = null;
+    let finished = false;
+    let failure;
+    const push = event => {
+      queue.push(event);
+      wake?.();
+    };
+
+    // Live verdicts per proxy key, so the result-file fallback only yields what is missing
+    const delivered = new Map();
+    const batchProgress = new Map();
+    let working = 0;
+
+    const onFrame = raw => {
+      options.onProgress?.(raw);
+      for (const event of parseProgressEvent(raw)) {
+        if (event.type === "proxy") {
+          if (!live) continue;
+          const key = proxyKey(event.proxy);
+          delivered.set(key, (delivered.get(key) || 0) + 1);
+          if (event.proxy.status === "working") working++;
+          const found = labels.get(key);
+          push({ ...event, proxy: found ? { ...event.proxy, labels: found } : event.proxy, source: "socket" });
+        } else if (event.type === "progress") {
+          // Concurrent batches report their own counts; add them up per batch
+          const slot = `${raw.protocol || ""}:${raw.batch?.index ?? 0}`;
+          batchProgress.set(slot, event.checked ?? delivered.size);
+          const checked = [...batchProgress.values()].reduce((a, b) => a + b, 0);
+          const total = Math.max(proxies.length, event.total ?? 0);
+          push({
+            type: "progress",
+            checked,
+            total,
+            working: event.working ?? working,
+            percent: total ? Math.min(100, Math.round((checked / total) * 100)) : null,
+            eta: estimateEta(checked, total, startedAt),
+            message: event.message,
+          });
+        } else {
+          push(event);
         }
+      }
+    };
+
+    const onStatus = event => {
+      options.onStatus?.(event);
+      push({ type: "connection", ...event });
+    };
+
+    push({ type: "queued", jobId, total: proxies.length });
+
+    // Leaving the loop early (break, return, a throw in its body) cancels the check
+    const controller = new AbortController();
+    if (options.signal) {
+      if (options.signal.aborted) controller.abort(options.signal.reason);
+      else options.signal.addEventListener("abort", () => controller.abort(options.signal.reason), { once: true });
+    }
+
+    this.check(proxies, { ...options, labels, jobId, signal: controller.signal, onProgress: onFrame, onStatus })
+      .then(result => {
+        // Fallback: verdicts the socket never delivered come from the result file
+        for (const entry of result.proxies) {
+          const key = proxyKey(entry);
+          const count = delivered.get(key) || 0;
+          if (count > 0) {
+            delivered.set(key, count - 1);
+            continue;
+          }
+          push({ type: "proxy", proxy: entry, source: "result" });
+        }
+        push({ type: "summary", summary: result.summary, metadata: result.metadata, result });
+      })
+      .catch(err => {
+        failure = err;
+      })
+      .finally(() => {
+        finished = true;
+        wake?.();
       });
 
-      ws.on("error", () => {
-        // Silently handle WS errors
+    try {
+      while (true) {
+        if (queue.length) {
+          yield queue.shift();
+          continue;
+        }
+        if (finished) break;
+        await new Promise(resolve => {
+          wake = resolve;
+        });
+        wake = null;
+      }
+    } finally {
+      if (!finished) controller.abort(new Error("checkStream consumer stopped"));
+    }
+
+    if (failure) throw failure;
+  }
+
+  /**
+   * Start a check without waiting for it
+   * Accepts the same input and options as check() and returns a handle right away. With a
+   * `jobStore`, every API job is recorded as soon as it is submitted, so its result can be
+   * downloaded with getResult() even after this process exits.
+   * @param {string|Array} input - File path, array of proxies, or single proxy string
+   * @param {Object} [options] - Same options as check(); `signal` also cancels the job
+   * @returns {CheckJob} Handle with `jobId`, `resultUrl`, `parts`, events, `wait()` and `cancel()`
+   *
+   * @example
+   * const job = client.submit('proxies.txt', { type: 'socks5' });
+   * job.on('submitted', part => console.log(`${part.jobId} → ${part.resultUrl}`));
+   * job.on('progress', event => console.log(event.details?.message));
+   * process.once('SIGINT', () => job.cancel());
+   * const result = await job.wait();
+   */
+  submit(input, options = {}) {
+    const controller = new AbortController();
+    if (options.signal) {
+      if (options.signal.aborted) controller.abort(options.signal.reason);
+      else options.signal.addEventListener("abort", () => controller.abort(options.signal.reason), { once: true });
+    }
+
+    const job = new CheckJob(options.jobId || newJobId(), controller);
+    return job._start(this.check(input, {
+      ...options,
+      jobId: job.jobId,
+      signal: controller.signal,
+      onSubmit: part => {
+        job.parts.push(part);
+        options.onSubmit?.(part);
+        job.emit("submitted", part);
+      },
+      onProgress: event => {
+        options.onProgress?.(event);
+        job.emit("progress", event);
+      },
+      onStatus: event => {
+        options.onStatus?.(event);
+        job.emit("connection", event);
+      },
+    }));
+  }
+
+  /**
+   * Check a list again every `interval` until stopped
+   * The input is read again every cycle, so edits to the file are picked up. Quota and
+   * rate-limit errors double the wait between cycles (up to `maxBackoff`); other API errors
+   * are retried at the normal interval.
+   * @param {string|Array} input - File path, array of proxies, or single proxy string
+   * @param {Object} options - Same options as check(), plus:
+   * @param {string|number} options.interval - Time between cycle starts: `15m`, `30s`, `1h` or ms (at least 10s)
+   * @param {string|number} [options.maxBackoff="1h"] - Longest wait after quota or rate-limit errors
+   * @param {number} [options.maxCycles] - Stop after this many cycles (default: run until stopped)
+   * @param {number} [options.latencyThreshold=500] - Passed to diffResults() for the per-cycle diff
+   * @param {AbortSignal} [options.signal] - Stops the watcher
+   * @returns {Watcher} Handle with `cycle` and `failed` events, `result`, `wait()` and `stop()`
+   *
+   * @example
+   * const watcher = client.watch('proxies.txt', { interval: '15m', region: 'us1' });
+   * watcher.on('cycle', ({ result, diff }) => {
+   *   fs.writeFileSync('working.txt', client.export(result.working, 'txt', true));
+   *   if (diff) console.log(`${diff.summary.newly_failed} newly failed`);
+   * });
+   * watcher.on('failed', ({ error, delay }) => console.warn(`${error.message}, retrying in ${delay}ms`));
+   * process.once('SIGTERM', () => watcher.stop());
+   * await watcher.wait();
+   */
+  watch(input, options = {}) {
+    return new Watcher((list, opts) => this.check(list, opts), input, options)._start();
+  }
+
+  /**
+   * Agents that send every request through a working proxy of a result
+   * Upstreams are reached over HTTP CONNECT, SOCKS4 or SOCKS5 tunnels with their credentials.
+   * @param {Object|Array} result - check() result, result entries or a ResultSet
+   * @param {Object} [options]
+   * @param {string} [options.strategy=round-robin] - round-robin, random, fastest or sticky (same proxy per host)
+   * @param {string|Array<string>} [options.country] - Only proxies in these countries
+   * @param {string|Array<string>} [options.protocol] - Only proxies working with these protocols
+   * @param {Object} [options.labels] - Only proxies with these input labels, e.g. `{ provider: 'acme' }`
+   * @param {number} [options.maxLatency] - Only proxies that answered within this many ms
+   * @param {number} [options.attempts=3] - Proxies tried per connection
+   * @param {number} [options.maxFailures=3] - Consecutive failures before a proxy is dropped
+   * @param {number} [options.timeout=10000] - Connect, handshake and TLS timeout per proxy in milliseconds
+   * @param {boolean} [options.keepAlive=false] - Reuse connections (a reused connection keeps its proxy)
+   * @returns {RotatingAgent} `{ http, https, dispatcher, agentFor, pool, stats(), update(), destroy() }`
+   * @throws {Error} When no working proxy matches the filters
+   *
+   * @example
+   * const agent = client.createAgent(await client.check('proxies.txt'), { strategy: 'random', country: 'US' });
+   * const res = await fetch('https://example.com', { dispatcher: agent.dispatcher });
+   * await axios.get('https://example.com', { httpAgent: agent.http, httpsAgent: agent.https, proxy: false });
+   */
+  createAgent(result, options = {}) {
+    return new RotatingAgent(result, options);
+  }
+
+  /**
+   * Download the result of an earlier job
+   * `jobId` may be the ID of a check() / submit() call (its parts are merged back into one
+   * result) or of a single API job; both are looked up in the client's `jobStore`. A result
+   * URL is downloaded directly.
+   * @param {string} jobId - Job ID or result URL
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {Object|Map} [options.labels] - Labels to join onto the entries (e.g. parseProxyList(inventory).labels);
+   *   labels are never sent to the API, so results fetched later do not have them otherwise
+   * @returns {Promise<Object>} Same result shape as check(). Parts that never reached the API
+   *   are listed in `missing_jobs`.
+   * @throws {ClearProxyError} When the job is unknown or none of its parts has a result URL
+   */
+  async getResult(jobId, { signal, labels } = {}) {
+    return attachLabels(await this._getResult(jobId, signal), labels);
+  }
+
+  /**
+   * Download and merge the result of a job, without labels
+   * @private
+   */
+  async _getResult(jobId, signal) {
+    if (/^https?:\/\//i.test(jobId)) {
+      return toResult(await this._fetchResult(jobId, signal));
+    }
+
+    const parts = this.jobStore ? this.jobStore.find(jobId) : [];
+    if (!parts.length) {
+      throw new ClearProxyError(`Unknown job: ${jobId}`);
+    }
+    const ready = parts.filter(part => part.resultUrl);
+    if (!ready.length) {
+      throw new ClearProxyError(`Job ${jobId} has no result URL: it was interrupted before the API accepted it`);
+    }
+
+    const fetched = [];
+    for (const part of ready) {
+      fetched.push([part, toResult(await this._fetchResult(part.resultUrl, signal))]);
+    }
+
+    // Rebuild the result the way check() did: auto runs per protocol, then protocol groups
+    const plain = fetched.filter(([part]) => !part.auto).map(([part, result]) => withProtocol(result, part.protocol));
+    const autoRuns = new Map();
+    for (const [part, result] of fetched.filter(([p]) => p.auto)) {
+      if (!autoRuns.has(part.protocol)) autoRuns.set(part.protocol, []);
+      autoRuns.get(part.protocol).push(result);
+    }
+    const groups = autoRuns.size
+      ? [...plain, mergeAutoResults([...autoRuns].map(([protocol, results]) => [protocol, mergeResults(results)]))]
+      : plain;
+
+    const merged = mergeResults(groups);
+    if (new Set(ready.map(part => (part.auto ? "auto" : part.protocol))).size > 1) {
+      merged.summary = { ...merged.summary, protocols: protocolSummary(merged.proxies) };
+      merged.metadata = { ...merged.metadata, type_used: "mixed" };
+    }
+    const missing = parts.filter(part => !part.resultUrl).map(part => part.jobId);
+    if (missing.length) {
+      merged.missing_jobs = missing;
+    }
+    return merged;
+  }
+
+  /**
+   * Detect the protocol of each proxy by checking it with every candidate protocol
+   * With strategy "first", proxies that already work are not re-tested with later protocols.
+   * @private
+   */
+  async _checkAuto(proxies, params, listOptions, { protocols, strategy }) {
+    const runs = [];
+    const failedBatches = [];
+    let pending = proxies;
+
+    for (const protocol of protocols) {
+      if (!pending.length) break;
+      const result = await this._checkList(pending, { ...params, type: protocol }, {
+        ...listOptions,
+        jobId: listOptions.jobId ? `${listOptions.jobId}_${protocol}` : undefined,
+        onProgress: listOptions.onProgress && (event => listOptions.onProgress({ ...event, protocol })),
+        onStatus: listOptions.onStatus && (event => listOptions.onStatus({ ...event, protocol })),
       });
+      runs.push([protocol, result]);
+      failedBatches.push(...(result.failed_batches || []));
+
+      if (strategy === "first") {
+        const settled = new Set(result.working.map(proxyKey));
+        pending = pending.filter(line => !settled.has(proxyKey(parseProxyString(line))));
+      }
     }
 
-    try {
-      if (!res.ok) {
-        const text = await res.text();
-        throw new Error(`API Error (${res.status}): ${text}`);
+    const merged = mergeAutoResults(runs);
+    if (failedBatches.length) {
+      merged.failed_batches = failedBatches;
+    }
+    return merged;
+  }
+
+  /**
+   * Check a list of proxies of one protocol, splitting it into batches when it is large
+   * @private
+   */
+  async _checkList(proxies, params, { jobId, onProgress, onStatus, batchSize, concurrency, batchRetries }) {
+    const batches = chunk(proxies, Number(batchSize));
+
+    if (batches.length === 1) {
+      return this._runBatch(batches[0], { ...params, jobId, onProgress, onStatus }, batchRetries);
+    }
+
+    // Progress across batches: every event is tagged with the batch it belongs to
+    // and the running totals of completed batches/proxies.
+    const progress = {
+      batches_total: batches.length,
+      batches_completed: 0,
+      proxies_total: proxies.length,
+      proxies_completed: 0,
+    };
+
+    const failedBatches = [];
+    let firstError;
+    const results = await mapLimit(batches, Number(concurrency), async (batch, index) => {
+      const batchProgress = onProgress && (event => onProgress({ ...event, batch: { index, size: batch.length, ...progress } }));
+      try {
+        const result = await this._runBatch(batch, {
+          ...params,
+          jobId: jobId ? `${jobId}_b${index + 1}` : undefined,
+          onProgress: batchProgress,
+          onStatus: onStatus && (event => onStatus({ ...event, batch: index })),
+        }, batchRetries);
+        progress.batches_completed++;
+        progress.proxies_completed += batch.length;
+        if (onProgress) {
+          onProgress({
+            type: "batch_complete",
+            details: { message: `Batch ${progress.batches_completed}/${batches.length} complete` },
+            batch: { index, size: batch.length, ...progress },
+          });
+        }
+        return result;
+      } catch (err) {
+        if (err instanceof CancelledError) throw err;
+        firstError = firstError || err;
+        failedBatches.push({ index, size: batch.length, proxies: batch, protocol: params.type, error: err.message });
+        return null;
       }
+    });
 
-      const data = await res.json();
-      if (!data.result_url) {
-        throw new Error("Unexpected API response: missing 'result_url'");
+    const succeeded = results.filter(Boolean);
+    if (!succeeded.length) {
+      throw firstError;
+    }
+
+    const merged = mergeResults(succeeded);
+    merged.metadata = { ...merged.metadata, batches: batches.length };
+    if (failedBatches.length) {
+      merged.failed_batches = failedBatches.sort((a, b) => a.index - b.index);
+    }
+    return merged;
+  }
+
+  /**
+   * Run one batch, fetching its result again up to `retries` extra times when the download fails
+   * Only the result download is repeated: once the API has accepted the batch it is never re-posted.
+   * @private
+   */
+  async _runBatch(proxies, params, retries) {
+    const accepted = {};
+    return withRetry(() => this._submitCheck(proxies, params, accepted), {
+      ...this.retry,
+      retries,
+      signal: params.signal,
+      shouldRetry: err => Boolean(accepted.data) && err.retryable,
+    });
+  }
+
+  /**
+   * Submit a single /check job and download its result
+   * `accepted.data` keeps the API response across attempts, so a retry only downloads the result.
+   * @private
+   */
+  async _submitCheck(proxies, {
+    region, timeout, type, customUrls, jobId, parent, auto, signal, onSubmit, onProgress, onStatus, jobLog,
+  }, accepted = {}) {
+    throwIfCancelled(signal);
+    // A jobs file that cannot be written never fails the check, also from the socket listener
+    const record = this.jobStore && jobId
+      ? fields => {
+        const error = recordJob(this.jobStore, { jobId, ...fields });
+        if (error && jobLog) jobLog.error = jobLog.error || error;
       }
+      : () => {};
+
+    if (accepted.data) {
+      return this._downloadResult(accepted.data, customUrls, signal, record);
+    }
 
-      const resultRes = await fetch(data.result_url);
-      if (!resultRes.ok) {
-        throw new Error(`Failed to fetch result: ${resultRes.status}`);
+    // The progress socket is confirmed open before the job starts, so no early events are lost
+    let channel;
+    if (onProgress && jobId) {
+      channel = this._progressChannel(jobId);
+      channel.on("message", onProgress);
+      // Keep the result URL as soon as the server announces it, in case the POST never returns
+      channel.on("message", frame => {
+        const resultUrl = frame?.result_url ?? frame?.details?.result_url;
+        if (typeof resultUrl === "string" && !accepted.data) record({ resultUrl });
+      });
+      if (onStatus) {
+        channel.on("status", (status, info) => onStatus({ status, jobId, ...info }));
       }
+      await channel.open();
+    }
 
-      const resultData = await resultRes.json();
-
-      // Extract custom URL validation if present
-      const custom_url_validation = resultData.custom_url_validation ||
-        data.custom_url_validation ||
-        null;
-
-      return {
-        summary: resultData.summary || {},
-        metadata: resultData.metadata || {},
-        proxies: resultData.proxies || [],
-        working: resultData.proxies?.filter(p => p.status === "working") || [],
-        failed: resultData.proxies?.filter(p => p.status === "failed") || [],
-        custom_url_validation,
-      };
-    } finally {
-      if (ws) {
-        ws.close();
+    record({ parent: parent || jobId, protocol: type, auto, region, size: proxies.length, status: "submitting" });
+
+    try {
+      const data = await this._request("/check", {
+        method: "POST",
+        body: {
+          proxies,
+          region: region || undefined,
+          timeout: Number(timeout),
+          type,
+          customUrls: customUrls.length > 0 ? customUrls : undefined,
+          jobId: jobId || undefined,
+        },
+        signal,
+        shouldRetry: refusedSubmission,
+      });
+
+      if (!data.result_url) {
+        throw new ClearProxyError("Unexpected API response: missing 'result_url'", { body: data });
       }
+      accepted.data = data;
+      record({ resultUrl: data.result_url, status: "running" });
+      onSubmit?.({ jobId, resultUrl: data.result_url, protocol: type, size: proxies.length });
+    } catch (err) {
+      record({ status: err instanceof CancelledError ? "cancelled" : "failed", error: err.message });
+      channel?.close();
+      throw err;
+    }
+
+    try {
+      return await this._downloadResult(accepted.data, customUrls, signal, record);
+    } finally {
+      channel?.close();
+    }
+  }
+
+  /**
+   * Download an accepted job's result and record how it ended
+   * @private
+   */
+  async _downloadResult(data, customUrls, signal, record) {
+    try {
+      const result = toResult(await this._fetchResult(data.result_url, signal), data);
+      nameRuleResults(result.custom_url_validation, customUrls);
+      record({ status: "completed", error: undefined });
+      return result;
+    } catch (err) {
+      record({ status: err instanceof CancelledError ? "cancelled" : "failed", error: err.message });
+      throw err;
     }
   }
 
   /**
    * Export proxy results to various formats
    * @param {Array} proxies - Array of proxy result objects
-   * @param {string} [format=json] - Output format (json, txt, yaml)
+   * @param {string} [format=json] - Output format (json, ndjson, csv, yaml, txt)
    * @param {boolean} [simple=false] - Export only ip:port if true
+   * @param {Object} [options] - `{ customUrlValidation, columns }`, see formatOutput()
    * @returns {string} Formatted output
+   *
+   * @example
+   * const csv = client.export(result.working, 'csv', false, {
+   *   customUrlValidation: result.custom_url_validation,
+   *   columns: ['host', 'port', 'country', 'custom']
+   * });
    */
-  export(proxies, format = "json", simple = false) {
-    return formatOutput(proxies, format, simple);
+  export(proxies, format = "json", simple = false, options = {}) {
+    return formatOutput(proxies, format, simple, options);
   }
 
   /**
    * Get account information
    * @returns {Promise<Object>} User account info including email, checks, and UnlimitedPro status
+   * @throws {ClearProxyError}
    */
   async me() {
-    const res = await fetch(`${this.baseURL}/me`, {
-      method: "GET",
-      headers: {
-        "Authorization": `Bearer ${this.apiKey}`,
-        "Content-Type": "application/json",
-      },
-    });
-
-    if (!res.ok) {
-      const text = await res.text();
-      throw new Error(`API Error (${res.status}): ${text}`);
-    }
-
-    return await res.json();
+    return this._request("/me");
   }
 
   /**
    * Get available regions
    * @returns {Promise<Object>} List of available regions
+   * @throws {ClearProxyError}
    */
   async regions() {
-    const res = await fetch(`${this.baseURL}/regions`, {
-      method: "GET",
-      headers: {
-        "Authorization": `Bearer ${this.apiKey}`,
-        "Content-Type": "application/json",
-      },
-    });
-
-    if (!res.ok) {
-      const text = await res.text();
-      throw new Error(`API Error (${res.status}): ${text}`);
-    }
-
-    return await res.json();
+    return this._request("/regions");
   }
 
   /**
    * Check API health status
    * @returns {Promise<Object>} Health status
+   * @throws {ClearProxyError}
    */
   async health() {
-    const res = await fetch(`${this.baseURL}/health`, {
-      method: "GET",
-      headers: {
-        "Authorization": `Bearer ${this.apiKey}`,
-        "Content-Type": "application/json",
-      },
-    });
-
-    if (!res.ok) {
-      const text = await res.text();
-      throw new Error(`API Error (${res.status}): ${text}`);
-    }
-
-    return await res.json();
+    return this._request("/health");
   }
 
   /**
    * Filter working proxies that passed custom URL validation
    * @param {Object} result - Result object from check() method
-   * @param {string} url - URL to filter by
-   * @returns {Array} Array of proxies that passed validation for the specified URL
+   * @param {string} url - Rule name or URL to filter by
+   * @returns {Array} Array of proxies that passed validation for the specified rule
    * 
    * @example
    * const result = await client.check('proxies.txt', {
@@ -278,11 +1031,8 @@ export class ClearProxy {
       throw new Error("No custom URL validation data available");
     }
 
-    const perUrlResults = result.custom_url_validation.per_url_summary ||
-      result.custom_url_validation.results ||
-      (Array.isArray(result.custom_url_validation) ? result.custom_url_validation : []);
-
-    const urlResult = perUrlResults.find(r => r.url === url);
+    const urlResult = perUrlResults(result.custom_url_validation).find(r => r.name === url) ||
+      perUrlResults(result.custom_url_validation).find(r => r.url === url);
 
     if (!urlResult) {
       throw new Error(`URL '${url}' not found in custom validation results`);
@@ -291,8 +1041,31 @@ export class ClearProxy {
     return urlResult.successful_proxies || [];
   }
 
+  /**
+   * Proxy × custom URL rule matrix of a result
+   * Each cell says whether the proxy passed the rule; results of the local checker also carry the
+   * status code, latency and the check that failed. Select with all(), any(), atLeast(n) or passing(rule).
+   * @param {Object} result - Result object from check(), with custom URL validation
+   * @returns {CustomUrlMatrix}
+   *
+   * @example
+   * const result = await client.check('proxies.txt', {
+   *   customUrls: [{ name: 'discord', url: 'https://discord.com' }, { name: 'google', url: 'https://www.google.com' }]
+   * });
+   * const matrix = client.urlMatrix(result);
+   * const everywhere = matrix.all().toEntries();      // pass both
+   * const either = matrix.atLeast(1).size;
+   * fs.writeFileSync('urls.csv', matrix.format('csv'));
+   */
+  urlMatrix(result) {
+    return CustomUrlMatrix.fromResult(result);
+  }
+
   /**
    * Get custom URL validation summary
+   * `per_rule` has one row per rule, named by its `name` (default: its URL), with `failures`
+   * counting why proxies failed it (status, header, required_text, regex, forbidden_text,
+   * latency, error) when the checker reported them.
    * @param {Object} result - Result object from check() method
    * @returns {Object} Summary of custom URL validation results
    * 
@@ -304,32 +1077,40 @@ export class ClearProxy {
    * const summary = client.getCustomUrlSummary(result);
    * console.log(`Total URLs tested: ${summary.total_urls}`);
    * console.log(`Overall success rate: ${summary.overall_success_rate}`);
+   * summary.per_rule.forEach(r => console.log(r.name, r.success_rate, r.failures));
    */
   getCustomUrlSummary(result) {
     if (!result.custom_url_validation) {
       return null;
     }
 
-    const perUrlResults = result.custom_url_validation.per_url_summary ||
-      result.custom_url_validation.results ||
-      (Array.isArray(result.custom_url_validation) ? result.custom_url_validation : []);
+    const perUrl = perUrlResults(result.custom_url_validation);
 
-    const totalSuccess = perUrlResults.reduce((sum, r) => sum + (r.success_count || 0), 0);
-    const totalFailed = perUrlResults.reduce((sum, r) => sum + (r.failed_count || 0), 0);
+    const totalSuccess = perUrl.reduce((sum, r) => sum + (r.success_count || 0), 0);
+    const totalFailed = perUrl.reduce((sum, r) => sum + (r.failed_count || 0), 0);
     const totalTested = totalSuccess + totalFailed;
 
     return {
-      total_urls: perUrlResults.length,
+      total_urls: perUrl.length,
       total_proxies_tested: totalTested,
       total_success: totalSuccess,
       total_failed: totalFailed,
-      overall_success_rate: totalTested > 0 ? `${((totalSuccess / totalTested) * 100).toFixed(2)}%` : '0.00%',
-      per_url: perUrlResults.map(r => ({
+      overall_success_rate: formatRate(totalSuccess, totalTested),
+      per_url: perUrl.map(r => ({
+        url: r.url,
+        success_count: r.success_count,
+        failed_count: r.failed_count,
+        success_rate: r.success_rate,
+      })),
+      per_rule: perUrl.map(r => ({
+        name: r.name || r.url,
         url: r.url,
+        method: r.method || "GET",
         success_count: r.success_count,
         failed_count: r.failed_count,
         success_rate: r.success_rate,
-      }))
+        failures: r.failures || null,
+      })),
     };
   }
 }
@@ -0,0 +1,212 @@
+import net from "net";
+import { once } from "events";
+
+/**
+ * Low-level proxy tunnelling: HTTP CONNECT, SOCKS4/4a and SOCKS5 handshakes
+ * over a raw TCP socket. The returned socket is connected to the target.
+ */
+
+/**
+ * Buffered reader over a socket used during handshakes
+ * Also used by the gateway to read SOCKS5 requests from its clients.
+ */
+export class SocketReader {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.waiter = null;
+    this.error = null;
+
+    this.onData = chunk => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.check();
+    };
+    this.onClose = err => {
+      this.error = err instanceof Error ? err : new Error("Proxy closed the connection during handshake");
+      this.check();
+    };
+
+    socket.on("data", this.onData);
+    socket.on("error", this.onClose);
+    socket.on("close", this.onClose);
+  }
+
+  check() {
+    if (!this.waiter) return;
+    const { test, resolve, reject } = this.waiter;
+    const size = test(this.buffer);
+    if (size >= 0) {
+      const out = this.buffer.subarray(0, size);
+      this.buffer = this.buffer.subarray(size);
+      this.waiter = null;
+      resolve(out);
+    } else if (this.error) {
+      this.waiter = null;
+      reject(this.error);
+    }
+  }
+
+  wait(test) {
+    return new Promise((resolve, reject) => {
+      this.waiter = { test, resolve, reject };
+      this.check();
+    });
+  }
+
+  read(n) {
+    return this.wait(buf => (buf.length >= n ? n : -1));
+  }
+
+  readUntil(delimiter) {
+    return this.wait(buf => {
+      const idx = buf.indexOf(delimiter);
+      return idx === -1 ? -1 : idx + delimiter.length;
+    });
+  }
+
+  /** Detach from the socket and hand back any bytes read past the handshake */
+  release() {
+    this.socket.off("data", this.onData);
+    this.socket.off("error", this.onClose);
+    this.socket.off("close", this.onClose);
+    if (this.buffer.length) this.socket.unshift(this.buffer);
+  }
+}
+
+function portBytes(port) {
+  return Buffer.from([(port >> 8) & 0xff, port & 0xff]);
+}
+
+async function httpConnect(socket, reader, proxy, host, port) {
+  const target = net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`;
+  const lines = [`CONNECT ${target} HTTP/1.1`, `Host: ${target}`];
+  if (proxy.username) {
+    const token = Buffer.from(`${proxy.username}:${proxy.password || ""}`).toString("base64");
+    lines.push(`Proxy-Authorization: Basic ${token}`);
+  }
+  socket.write(lines.join("\r\n") + "\r\n\r\n");
+
+  const head = (await reader.readUntil("\r\n\r\n")).toString("latin1");
+  const status = Number(head.split(" ")[1]);
+  if (status !== 200) {
+    throw new Error(`HTTP CONNECT failed: ${head.split("\r\n")[0]}`);
+  }
+}
+
+async function socks4Connect(socket, reader, proxy, host, port) {
+  const user = Buffer.from(proxy.username || "");
+  const isIPv4 = net.isIPv4(host);
+  if (net.isIPv6(host)) throw new Error("SOCKS4 does not support IPv6 targets");
+
+  // SOCKS4a: an invalid 0.0.0.x address tells the proxy to resolve the hostname
+  const ip = isIPv4 ? Buffer.from(host.split(".").map(Number)) : Buffer.from([0, 0, 0, 1]);
+  const parts = [Buffer.from([0x04, 0x01]), portBytes(port), ip, user, Buffer.from([0])];
+  if (!isIPv4) parts.push(Buffer.from(host), Buffer.from([0]));
+  socket.write(Buffer.concat(parts));
+
+  const reply = await reader.read(8);
+  if (reply[1] !== 0x5a) {
+    throw new Error(`SOCKS4 request rejected (code 0x${reply[1].toString(16)})`);
+  }
+}
+
+const SOCKS5_ERRORS = {
+  1: "general failure",
+  2: "connection not allowed by ruleset",
+  3: "network unreachable",
+  4: "host unreachable",
+  5: "connection refused",
+  6: "TTL expired",
+  7: "command not supported",
+  8: "address type not supported",
+};
+
+async function socks5Connect(socket, reader, proxy, host, port) {
+  const methods = proxy.username ? [0x00, 0x02] : [0x00];
+  socket.write(Buffer.from([0x05, methods.length, ...methods]));
+
+  const [version, method] = await reader.read(2);
+  if (version !== 0x05) throw new Error("Not a SOCKS5 proxy");
+  if (method === 0xff) throw new Error("SOCKS5 proxy accepted none of the offered auth methods");
+
+  if (method === 0x02) {
+    const user = Buffer.from(proxy.username || "");
+    const pass = Buffer.from(proxy.password || "");
+    socket.write(Buffer.concat([Buffer.from([0x01, user.length]), user, Buffer.from([pass.length]), pass]));
+    const [, status] = await reader.read(2);
+    if (status !== 0x00) throw new Error("SOCKS5 authentication failed");
+  }
+
+  let address;
+  if (net.isIPv4(host)) {
+    address = Buffer.concat([Buffer.from([0x01]), Buffer.from(host.split(".").map(Number))]);
+  } else if (net.isIPv6(host)) {
+    const groups = expandIPv6(host);
+    address = Buffer.concat([Buffer.from([0x04]), Buffer.from(groups.flatMap(g => [g >> 8, g & 0xff]))]);
+  } else {
+    address = Buffer.concat([Buffer.from([0x03, Buffer.byteLength(host)]), Buffer.from(host)]);
+  }
+  socket.write(Buffer.concat([Buffer.from([0x05, 0x01, 0x00]), address, portBytes(port)]));
+
+  const head = await reader.read(5);
+  if (head[1] !== 0x00) {
+    throw new Error(`SOCKS5 connect failed: ${SOCKS5_ERRORS[head[1]] || `code ${head[1]}`}`);
+  }
+  // Skip the bound address: 5 bytes already read include the first address byte
+  const rest = head[3] === 0x01 ? 4 + 2 - 1 : head[3] === 0x04 ? 16 + 2 - 1 : head[4] + 2;
+  await reader.read(rest);
+}
+
+/**
+ * Expand an IPv6 address into its eight 16-bit groups
+ */
+function expandIPv6(host) {
+  const [left, right = ""] = host.split("::");
+  const l = left ? left.split(":") : [];
+  const r = right ? right.split(":") : [];
+  const fill = host.includes("::") ? Array(8 - l.length - r.length).fill("0") : [];
+  return [...l, ...fill, ...r].map(g => parseInt(g, 16) || 0);
+}
+
+/**
+ * Open a TCP connection to `host:port` through a proxy
+ * @param {Object} proxy - Upstream proxy
+ * @param {string} proxy.protocol - http, socks4 or socks5
+ * @param {string} proxy.host - Proxy host
+ * @param {number} proxy.port - Proxy port
+ * @param {string} [proxy.username] - Username (SOCKS4 user id for socks4)
+ * @param {string} [proxy.password] - Password
+ * @param {string} host - Target host
+ * @param {number} port - Target port
+ * @param {Object} [options]
+ * @param {number} [options.timeout=10000] - Connect + handshake timeout in milliseconds
+ * @returns {Promise<net.Socket>} Socket connected to the target
+ */
+export async function openTunnel(proxy, host, port, { timeout = 10000 } = {}) {
+  const socket = net.connect({ host: proxy.host, port: Number(proxy.port) });
+  const timer = setTimeout(() => {
+    socket.destroy(new Error(`Proxy handshake timed out after ${timeout}ms`));
+  }, timeout);
+
+  try {
+    await once(socket, "connect");
+    const reader = new SocketReader(socket);
+    const protocol = proxy.protocol || "http";
+    if (protocol === "http" || protocol === "https") {
+      await httpConnect(socket, reader, proxy, host, Number(port));
+    } else if (protocol === "socks4") {
+      await socks4Connect(socket, reader, proxy, host, Number(port));
+    } else if (protocol === "socks5") {
+      await socks5Connect(socket, reader, proxy, host, Number(port));
+    } else {
+      throw new Error(`Unsupported proxy protocol '${protocol}'`);
+    }
+    reader.release();
+    return socket;
+  } catch (err) {
+    socket.destroy();
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
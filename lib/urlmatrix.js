@@ -0,0 +1,316 @@
+import yaml from "js-yaml";
+import { formatProxy } from "./utils.js";
+import { perUrlResults, passedByUrl, proxyKey } from "./results.js";
+import { csvCell } from "./exporters.js";
+
+/**
+ * Custom URL matrix
+ * CustomUrlMatrix holds the verdict of every proxy (rows) on every custom URL rule (columns) of
+ * one check() result, with all/any/atLeast(n) selections over the rules a proxy passed.
+ */
+
+export const URL_MATRIX_FORMATS = ["table", "csv", "json", "ndjson", "yaml"];
+
+const SELECTIONS = ["all", "any", "none"];
+
+/**
+ * Split a selection such as `atleast:2` or `rules:discord,google`
+ * @param {string} selection - all, any, none, atleast:<n> or rules:<names>
+ * @returns {{ name: string, arg: string|undefined }}
+ * @throws {Error} When the selection is unknown or misses its argument
+ */
+export function parseSelection(selection) {
+  const text = String(selection);
+  const split = text.indexOf(":");
+  const name = (split === -1 ? text : text.slice(0, split)).toLowerCase();
+  const arg = split === -1 ? undefined : text.slice(split + 1);
+  if (SELECTIONS.includes(name)) return { name, arg };
+  if (name === "atleast" && /^\d+$/.test(arg ?? "")) return { name, arg };
+  if (name === "rules" && arg) return { name, arg };
+  throw new Error(`Unknown selection: ${selection}. Use all, any, none, atleast:<n> or rules:<name,...>`);
+}
+
+function proxyString(row) {
+  const p = row.proxy || {};
+  return formatProxy({
+    host: p.host,
+    port: p.port,
+    username: p.username || undefined,
+    password: p.username ? p.password ?? undefined : undefined,
+    protocol: row.protocol || undefined,
+  });
+}
+
+// An untested cell: the proxy was not working, so no rule ran through it
+const UNTESTED = { passed: null, status: null, responseTime: null, check: null, reason: null };
+
+/**
+ * Rule names of a result, in rule order
+ * Full documents name them in custom_url_validation; exported entries carry `custom_urls`.
+ */
+function ruleNames(result) {
+  const fromValidation = perUrlResults(result.custom_url_validation).map(entry => entry.name ?? entry.url);
+  if (fromValidation.length) return fromValidation;
+  const names = new Set();
+  for (const entry of result.proxies || []) {
+    Object.keys(entry.custom_checks || entry.custom_urls || {}).forEach(name => names.add(name));
+  }
+  return [...names];
+}
+
+/**
+ * CustomUrlMatrix
+ * Immutable proxy × rule view of a check() result. Every selection returns a new matrix over the
+ * same rules.
+ *
+ * Each row is `{ key, proxy, protocol, labels, entry, cells: { rule: cell } }`, where a cell is
+ * `{ passed, status, responseTime, check, reason }`. `passed` is null for proxies that were not
+ * working, as rules only run through working ones. Status, latency and the failed check
+ * (status, header, required_text, regex, forbidden_text, latency, error) come from `--local`
+ * checks; API results only say whether the proxy passed.
+ *
+ * @example
+ * const matrix = client.urlMatrix(result);
+ * matrix.all().size;                         // pass every rule
+ * matrix.atLeast(2).toEntries();             // pass two rules or more
+ * matrix.rows[0].cells.discord.reason;       // "status 403 not in [200]"
+ * fs.writeFileSync('urls.csv', matrix.format('csv'));
+ */
+export class CustomUrlMatrix {
+  /**
+   * @param {Array<string>} rules - Rule names, in column order
+   * @param {Array<Object>} rows - Matrix rows
+   * @param {Object|null} [validation] - custom_url_validation of the source result
+   */
+  constructor(rules, rows, validation = null) {
+    this.rules = rules;
+    this.rows = rows;
+    this.validation = validation;
+  }
+
+  /**
+   * Build a matrix from a check() result
+   * @param {Object} result - Result with custom URL validation, or a saved result whose entries carry `custom_urls`
+   * @returns {CustomUrlMatrix}
+   * @throws {Error} When the result has no custom URL validation
+   */
+  static fromResult(result) {
+    const rules = ruleNames(result || {});
+    if (!rules.length) throw new Error("No custom URL validation in this result (check with --custom)");
+
+    const passed = passedByUrl(result.custom_url_validation);
+    const rows = (result.proxies || []).map(entry => {
+      const key = proxyKey(entry);
+      const cells = Object.fromEntries(rules.map(rule => {
+        const checked = entry.custom_checks?.[rule];
+        if (checked) return [rule, { ...UNTESTED, ...checked }];
+        if (entry.status !== "working") return [rule, UNTESTED];
+        const verdict = passed.has(rule) ? passed.get(rule).has(key) : entry.custom_urls?.[rule];
+        return [rule, { ...UNTESTED, passed: typeof verdict === "boolean" ? verdict : null }];
+      }));
+      return { key, proxy: entry.proxy, protocol: entry.protocol ?? null, labels: entry.labels, entry, cells };
+    });
+    return new CustomUrlMatrix(rules, rows, result.custom_url_validation ?? null);
+  }
+
+  _derive(rows) {
+    return new CustomUrlMatrix(this.rules, rows, this.validation);
+  }
+
+  /** Number of proxies (rows) */
+  get size() {
+    return this.rows.length;
+  }
+
+  [Symbol.iterator]() {
+    return this.rows[Symbol.iterator]();
+  }
+
+  /** Keep rows matching a predicate */
+  where(predicate) {
+    return this._derive(this.rows.filter(predicate));
+  }
+
+  /** Rules a row passed */
+  passedRules(row) {
+    return this.rules.filter(rule => row.cells[rule].passed === true);
+  }
+
+  /** Rules a row was checked on and failed */
+  failedRules(row) {
+    return this.rules.filter(rule => row.cells[rule].passed === false);
+  }
+
+  /** Proxies that pass every rule */
+  all() {
+    return this.where(row => this.passedRules(row).length === this.rules.length);
+  }
+
+  /** Proxies that pass at least one rule */
+  any() {
+    return this.atLeast(1);
+  }
+
+  /** Proxies that pass no rule, untested ones included */
+  none() {
+    return this.where(row => !this.passedRules(row).length);
+  }
+
+  /** Proxies that pass at least `n` rules */
+  atLeast(n) {
+    return this.where(row => this.passedRules(row).length >= Number(n));
+  }
+
+  /**
+   * Proxies that pass every given rule (and maybe others)
+   * @param {...(string|Array<string>)} rules - Rule names or URLs
+   */
+  passing(...rules) {
+    const wanted = this._known(rules.flat().flatMap(r => String(r).split(",")).map(r => r.trim()).filter(Boolean));
+    return this.where(row => wanted.every(rule => row.cells[rule].passed === true));
+  }
+
+  // Names for the given names or URLs; a URL stands for every rule on it
+  _known(rules) {
+    const urls = new Map(perUrlResults(this.validation).map(entry => [entry.name ?? entry.url, entry.url]));
+    const unknown = [];
+    const names = rules.flatMap(rule => {
+      if (this.rules.includes(rule)) return [rule];
+      const onUrl = this.rules.filter(name => urls.get(name) === rule);
+      if (!onUrl.length) unknown.push(rule);
+      return onUrl;
+    });
+    if (unknown.length) {
+      throw new Error(`Unknown rule(s): ${unknown.join(", ")}. Checked: ${this.rules.join(", ")}`);
+    }
+    return names;
+  }
+
+  /**
+   * Apply a selection by name, as used by `clearproxy urls --select`
+   * @param {string} [selection] - all, any, none, atleast:<n> or rules:<names>; omit for every row
+   */
+  select(selection) {
+    if (selection === undefined || selection === null) return this;
+    const { name, arg } = parseSelection(selection);
+    if (name === "all") return this.all();
+    if (name === "any") return this.any();
+    if (name === "none") return this.none();
+    if (name === "atleast") return this.atLeast(arg);
+    return this.passing(arg);
+  }
+
+  /**
+   * Counts per rule and per selection
+   * @returns {Object} `{ total, tested, rules: { discord: { passed, failed, untested, failures } }, all, any, none }`
+   */
+  summary() {
+    const rules = Object.fromEntries(this.rules.map(rule => {
+      const cells = this.rows.map(row => row.cells[rule]);
+      const failures = {};
+      cells.filter(cell => cell.passed === false && cell.check).forEach(cell => {
+        failures[cell.check] = (failures[cell.check] || 0) + 1;
+      });
+      return [rule, {
+        passed: cells.filter(cell => cell.passed === true).length,
+        failed: cells.filter(cell => cell.passed === false).length,
+        untested: cells.filter(cell => cell.passed === null).length,
+        failures,
+      }];
+    }));
+    return {
+      total: this.size,
+      tested: this.rows.filter(row => this.rules.some(rule => row.cells[rule].passed !== null)).length,
+      rules,
+      all: this.all().size,
+      any: this.any().size,
+      none: this.none().size,
+    };
+  }
+
+  /**
+   * One result entry per proxy, for formatOutput() and the config exporters
+   * Each entry gets `passed_rules` added; pass `matrix.validation` as `customUrlValidation` to
+   * formatOutput() for the per-rule verdicts.
+   * @returns {Array<Object>}
+   */
+  toEntries() {
+    return this.rows.map(row => ({ ...row.entry, passed_rules: this.passedRules(row) }));
+  }
+
+  /**
+   * Plain object for JSON output
+   * @returns {Object} `{ rules, summary, proxies: [{ proxy, protocol, status, labels, passed_rules, rules: { rule: cell } }] }`
+   */
+  toJSON() {
+    return {
+      rules: this.rules,
+      summary: this.summary(),
+      proxies: this.rows.map(row => this._record(row)),
+    };
+  }
+
+  _record(row) {
+    return {
+      proxy: proxyString(row),
+      protocol: row.protocol,
+      status: row.entry.status,
+      ...(row.labels ? { labels: row.labels } : {}),
+      passed_rules: this.passedRules(row),
+      rules: row.cells,
+    };
+  }
+
+  /**
+   * Format the matrix
+   * @param {string} format - table, csv, json, ndjson (one proxy per line) or yaml
+   * @returns {string}
+   */
+  format(format) {
+    if (format === "json") return JSON.stringify(this.toJSON(), null, 2);
+    if (format === "ndjson") return this.rows.map(row => JSON.stringify(this._record(row))).join("\n");
+    if (format === "yaml") return yaml.dump(this.toJSON(), { lineWidth: -1 });
+    if (format === "csv") return matrixCsv(this);
+    if (format === "table") return matrixTable(this);
+    throw new Error(`Unsupported matrix format: ${format}. Use ${URL_MATRIX_FORMATS.join(", ")}`);
+  }
+}
+
+function matrixCsv(matrix) {
+  const ruleColumns = matrix.rules.flatMap(rule => [`${rule}_passed`, `${rule}_status`, `${rule}_ms`, `${rule}_check`, `${rule}_reason`]);
+  const fixed = ["proxy", "protocol", "status", ...ruleColumns, "passed_rules"];
+  const labelKeys = [...new Set(matrix.rows.flatMap(row => Object.keys(row.labels || {})))];
+  const labelColumns = labelKeys.map(key => (fixed.includes(key) ? `label.${key}` : key));
+
+  const rows = matrix.rows.map(row => [
+    proxyString(row),
+    row.protocol,
+    row.entry.status,
+    ...matrix.rules.flatMap(rule => {
+      const cell = row.cells[rule];
+      return [cell.passed, cell.status, cell.responseTime, cell.check, cell.reason];
+    }),
+    matrix.passedRules(row),
+    ...labelKeys.map(key => row.labels?.[key]),
+  ].map(csvCell).join(","));
+  return [[...fixed, ...labelColumns].map(csvCell).join(","), ...rows].join("\n");
+}
+
+function matrixTable(matrix) {
+  const cell = (row, rule) => {
+    const { passed, status, responseTime, check } = row.cells[rule];
+    if (passed === null) return "-";
+    const details = [status, Number.isFinite(responseTime) ? `${responseTime}ms` : null].filter(v => v !== null && v !== undefined);
+    if (passed) return ["✔", ...details].join(" ");
+    return ["✘", check, ...details].filter(Boolean).join(" ");
+  };
+  const header = ["proxy", ...matrix.rules, "passes"];
+  const body = matrix.rows.map(row => {
+    const passed = matrix.passedRules(row).length;
+    const passes = passed === matrix.rules.length ? "all" : passed ? `${passed}/${matrix.rules.length}` : "none";
+    return [proxyString(row), ...matrix.rules.map(rule => cell(row, rule)), passes];
+  });
+  const widths = header.map((h, i) => Math.max(h.length, ...body.map(r => r[i].length)));
+  const line = cells => cells.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd();
+  return [line(header), line(widths.map(w => "-".repeat(w))), ...body.map(line)].join("\n");
+}
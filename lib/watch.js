@@ -0,0 +1,169 @@
+import { EventEmitter } from "events";
+import { sleep, parseDuration, formatDuration, parseProxyString } from "./utils.js";
+import { proxyKey } from "./results.js";
+import { diffResults } from "./diff.js";
+import {
+  ClearProxyError,
+  AuthError,
+  ValidationError,
+  QuotaExceededError,
+  RateLimitError,
+  CancelledError,
+} from "./errors.js";
+
+/**
+ * Watch mode
+ * ClearProxy#watch() checks the same list again and again, keeping the latest result and the
+ * changes since the previous cycle. Quota and rate-limit errors back off exponentially.
+ */
+
+export const MIN_INTERVAL = 10_000;
+export const DEFAULT_MAX_BACKOFF = 60 * 60_000;
+
+/**
+ * Proxies of failed batches keep their entry from the previous cycle, so a batch lost to a
+ * network error does not read as every one of its proxies failing
+ * @param {Object} result - check() result of this cycle
+ * @param {Object|null} previous - Result of the previous cycle
+ * @returns {Object} The result, with `carried_over` counting the entries taken from `previous`
+ */
+export function carryOver(result, previous) {
+  if (!result.failed_batches || !previous) return result;
+  // Batches keep the submitted proxy strings
+  const lost = new Set(result.failed_batches
+    .flatMap(b => b.proxies || [])
+    .map(p => (typeof p === "string" ? parseProxyString(p) : p))
+    .filter(Boolean)
+    .map(p => proxyKey(p)));
+  const seen = new Set(result.proxies.map(proxyKey));
+  const carried = previous.proxies.filter(entry => lost.has(proxyKey(entry)) && !seen.has(proxyKey(entry)));
+  if (!carried.length) return result;
+  const proxies = [...result.proxies, ...carried];
+  const working = proxies.filter(p => p.status === "working");
+  return {
+    ...result,
+    summary: { ...result.summary, total_working: working.length },
+    proxies,
+    working,
+    failed: proxies.filter(p => p.status !== "working"),
+    carried_over: carried.length,
+  };
+}
+
+/**
+ * Watcher
+ * Handle returned by ClearProxy#watch(). Cycles start `interval` ms apart (right away when a
+ * check took longer than that); the input is read again every cycle.
+ *
+ * Events:
+ *   - cycle   `{ cycle, result, diff, duration, next }` after every successful check; `diff` is
+ *             diffResults(previous, result), null on the first cycle; `next` is the ms until the
+ *             next cycle, null on the last one
+ *   - failed  `{ cycle, error, delay, backoff }` when a cycle fails and the watcher waits `delay`
+ *             ms before trying again (null on the last cycle); `backoff` is true for quota and
+ *             rate-limit errors
+ *
+ * Auth and validation errors stop the watcher, as does any other error on the first cycle
+ * (a missing file, no proxies); later ones are retried, since the list may be mid-rewrite.
+ */
+export class Watcher extends EventEmitter {
+  /**
+   * @param {Function} check - `(input, options) => Promise<result>`, normally client.check
+   * @param {string|Array} input - File path, array of proxies, or single proxy string
+   * @param {Object} options - See ClearProxy#watch()
+   */
+  constructor(check, input, options) {
+    super();
+    const { interval, maxBackoff, maxCycles, latencyThreshold, signal, ...checkOptions } = options;
+    this.interval = parseDuration(interval);
+    if (this.interval < MIN_INTERVAL) {
+      throw new Error(`Interval too short: ${interval}. Use at least ${formatDuration(MIN_INTERVAL)} (e.g. 30s, 15m)`);
+    }
+    this.maxBackoff = Math.max(this.interval, maxBackoff !== undefined ? parseDuration(maxBackoff) : DEFAULT_MAX_BACKOFF);
+    this.maxCycles = maxCycles;
+    this.latencyThreshold = latencyThreshold;
+    this.cycle = 0;
+    this.result = null;
+    this._check = check;
+    this._input = input;
+    this._checkOptions = checkOptions;
+    this._controller = new AbortController();
+    this._backoff = 0;
+    if (signal) {
+      if (signal.aborted) this.stop(signal.reason);
+      else signal.addEventListener("abort", () => this.stop(signal.reason), { once: true });
+    }
+  }
+
+  /** AbortSignal that fires when the watcher is stopped */
+  get signal() {
+    return this._controller.signal;
+  }
+
+  _start() {
+    this._promise = this._loop();
+    // wait() may never be called; fatal errors still stop the loop
+    this._promise.catch(() => {});
+    return this;
+  }
+
+  async _loop() {
+    while (!this.signal.aborted) {
+      this.cycle++;
+      const startedAt = Date.now();
+      let delay;
+      try {
+        const result = carryOver(await this._check(this._input, { ...this._checkOptions, signal: this.signal }), this.result);
+        const duration = Date.now() - startedAt;
+        const last = this.maxCycles !== undefined && this.cycle >= this.maxCycles;
+        delay = Math.max(0, this.interval - duration);
+        const diff = this.result ? diffResults(this.result, result, { latencyThreshold: this.latencyThreshold }) : null;
+        this.result = result;
+        this._backoff = 0;
+        this.emit("cycle", { cycle: this.cycle, result, diff, duration, next: last ? null : delay });
+        if (last) break;
+      } catch (err) {
+        if (err instanceof CancelledError && this.signal.aborted) break;
+        if (err instanceof AuthError || err instanceof ValidationError ||
+          (this.cycle === 1 && !(err instanceof ClearProxyError))) {
+          throw err;
+        }
+        const backoff = err instanceof QuotaExceededError || err instanceof RateLimitError;
+        const last = this.maxCycles !== undefined && this.cycle >= this.maxCycles;
+        delay = this._delayAfter(err, backoff);
+        this.emit("failed", { cycle: this.cycle, error: err, delay: last ? null : delay, backoff });
+        if (last) break;
+      }
+      await sleep(delay, this.signal);
+    }
+    return { cycles: this.cycle, result: this.result };
+  }
+
+  // Quota and rate limits double the wait each time in a row, up to maxBackoff; Retry-After wins when longer
+  _delayAfter(err, backoff) {
+    if (!backoff) {
+      this._backoff = 0;
+      return this.interval;
+    }
+    this._backoff++;
+    const delay = Math.min(this.maxBackoff, this.interval * 2 ** this._backoff);
+    return Math.max(delay, err.retryAfter ?? 0);
+  }
+
+  /**
+   * Wait until the watcher stops
+   * @returns {Promise<Object>} `{ cycles, result }` with the last successful result
+   * @throws {ClearProxyError} The error that stopped the watcher
+   */
+  wait() {
+    return this._promise;
+  }
+
+  /**
+   * Stop after the current cycle: aborts the check in flight and any wait between cycles.
+   * API jobs that were already accepted keep running server-side.
+   */
+  stop(reason) {
+    this._controller.abort(reason);
+  }
+}
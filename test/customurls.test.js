@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveCustomUrls, CustomUrlSpecError } from "../lib/customurls.js";
+
+test("a malformed inline JSON spec is reported as a spec error", () => {
+  for (const spec of ['[{"url": "https://example.com"', "{rules: []}"]) {
+    assert.throws(() => resolveCustomUrls(spec), error => {
+      assert.ok(error instanceof CustomUrlSpecError, spec);
+      assert.equal(error.errors.length, 1);
+      assert.equal(error.errors[0].path, "");
+      assert.match(error.errors[0].message, /^not valid JSON: /);
+      return true;
+    });
+  }
+});
+
+test("a well-formed inline JSON spec still resolves", () => {
+  const rules = resolveCustomUrls('[{"url": "https://example.com"}]');
+  assert.equal(rules.length, 1);
+  assert.equal(rules[0].url, "https://example.com");
+});
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import { diffResults, loadResultFile } from "../lib/diff.js";
+
+const CLI = fileURLToPath(new URL("../bin/clearproxy.js", import.meta.url));
+
+const entry = (host, status, extra = {}) => ({ proxy: { host, port: 8080 }, protocol: "http", status, responseTime: status === "working" ? 100 : null, ...extra });
+
+const before = {
+  proxies: [
+    entry("1.1.1.1", "working"),
+    entry("2.2.2.2", "failed"),
+    entry("3.3.3.3", "working"),
+    entry("4.4.4.4", "working", { country: "US" }),
+    entry("5.5.5.5", "working"),
+  ],
+  custom_url_validation: { per_url_summary: [{ url: "https://example.com", successful_proxies: ["4.4.4.4:8080"] }] },
+};
+
+const after = {
+  proxies: [
+    entry("1.1.1.1", "failed"),
+    entry("2.2.2.2", "working"),
+    entry("3.3.3.3", "working", { responseTime: 900 }),
+    entry("4.4.4.4", "working", { country: "DE" }),
+    entry("6.6.6.6", "working"),
+  ],
+  custom_url_validation: { per_url_summary: [{ url: "https://example.com", successful_proxies: [] }] },
+};
+
+test("diffResults classifies every proxy and counts regressions", () => {
+  const diff = diffResults(before, after);
+  const state = Object.fromEntries(diff.proxies.map(p => [p.proxy, p.state]));
+  assert.deepEqual(state, {
+    "http://1.1.1.1:8080": "newly_failed",
+    "http://2.2.2.2:8080": "revived",
+    "http://3.3.3.3:8080": "still_working",
+    "http://4.4.4.4:8080": "still_working",
+    "http://5.5.5.5:8080": "removed",
+    "http://6.6.6.6:8080": "added",
+  });
+
+  const s = diff.summary;
+  assert.equal(s.slower, 1);
+  assert.equal(s.country_changed, 1);
+  assert.equal(s.custom_url_lost, 1);
+  // newly failed, slower, lost its custom URL; of the four proxies in both runs
+  assert.equal(s.regressions, 3);
+  assert.equal(s.regression_rate, 75);
+});
+
+test("diffResults ignores latency changes below the threshold", () => {
+  const diff = diffResults(before, after, { latencyThreshold: 1000 });
+  assert.equal(diff.summary.slower, 0);
+  assert.equal(diff.summary.regressions, 2);
+});
+
+test("diffResults matches proxies whose protocol changed", () => {
+  const diff = diffResults({ proxies: [entry("1.1.1.1", "working")] }, { proxies: [entry("1.1.1.1", "working", { protocol: "socks5" })] });
+  assert.deepEqual(diff.proxies.map(p => p.state), ["still_working"]);
+});
+
+function withResults(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "clearproxy-test-"));
+  try {
+    const oldFile = path.join(dir, "old.json");
+    const newFile = path.join(dir, "new.json");
+    fs.writeFileSync(oldFile, JSON.stringify(before));
+    fs.writeFileSync(newFile, JSON.stringify(after));
+    return fn(oldFile, newFile, dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("loadResultFile reads full documents and NDJSON, and rejects anything else", () => {
+  withResults((oldFile, newFile, dir) => {
+    assert.equal(loadResultFile(oldFile).custom_url_validation.per_url_summary.length, 1);
+    assert.equal(loadResultFile(newFile).proxies.length, 5);
+    const ndjson = path.join(dir, "new.ndjson");
+    fs.writeFileSync(ndjson, after.proxies.map(p => JSON.stringify(p)).join("\n"));
+    assert.deepEqual(loadResultFile(ndjson).proxies, after.proxies);
+    const simple = path.join(dir, "simple.txt");
+    fs.writeFileSync(simple, "1.1.1.1:8080\n");
+    assert.throws(() => loadResultFile(simple), /is not a saved check result/);
+    assert.throws(() => loadResultFile(path.join(dir, "missing.json")), /File not found/);
+  });
+});
+
+test("clearproxy diff exits with 2 over --max-regressions and 1 on bad input", () => {
+  withResults((oldFile, newFile) => {
+    const run = (...args) => spawnSync(process.execPath, [CLI, "diff", oldFile, newFile, "--json", ...args], { encoding: "utf8", timeout: 30000 });
+    assert.equal(run("--max-regressions", "3").status, 0);
+    assert.equal(run("--max-regressions", "2").status, 2);
+    assert.equal(run("--max-regressions", "50%").status, 2);
+    assert.equal(run("--max-regressions", "lots").status, 1);
+  });
+});
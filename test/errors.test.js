@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ClearProxy } from "../lib/sdk.js";
+import {
+  errorFromResponse,
+  refusedSubmission,
+  AuthError,
+  QuotaExceededError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  ValidationError,
+} from "../lib/errors.js";
+
+const response = (status, body, headers = {}) => new Response(typeof body === "string" ? body : JSON.stringify(body), { status, headers });
+
+test("errorFromResponse classifies API failures", async () => {
+  assert.ok(await errorFromResponse(response(401, "bad key")) instanceof AuthError);
+  assert.ok(await errorFromResponse(response(402, "pay up")) instanceof QuotaExceededError);
+  assert.ok(await errorFromResponse(response(403, { error: "Insufficient checks" })) instanceof QuotaExceededError);
+  assert.ok(await errorFromResponse(response(422, "bad type")) instanceof ValidationError);
+  assert.ok(await errorFromResponse(response(502, "bad gateway")) instanceof ServerError);
+
+  const limited = await errorFromResponse(response(429, { error: "Rate limit reached" }, { "retry-after": "2" }));
+  assert.ok(limited instanceof RateLimitError);
+  assert.equal(limited.retryAfter, 2000);
+  assert.ok(await errorFromResponse(response(429, "Quota exceeded")) instanceof QuotaExceededError);
+});
+
+test("only refused submissions may be posted again", async () => {
+  assert.equal(refusedSubmission(await errorFromResponse(response(429, "slow down"))), true);
+  assert.equal(refusedSubmission(await errorFromResponse(response(503, "busy"))), true);
+  assert.equal(refusedSubmission(await errorFromResponse(response(500, "oops"))), false);
+  assert.equal(refusedSubmission(new NetworkError("socket hang up")), false);
+});
+
+/**
+ * Client whose fetch answers POST /check and the result download from the given queues
+ */
+function fakeClient({ posts, downloads }) {
+  const calls = { post: 0, download: 0 };
+  const fetch = async (url, init = {}) => {
+    if (init.method === "POST") {
+      calls.post++;
+      const next = posts.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    }
+    calls.download++;
+    return downloads.shift();
+  };
+  const client = new ClearProxy("clearpx_test", {
+    baseURL: "http://api.test",
+    fetch,
+    retry: { retries: 2, minDelay: 0, maxDelay: 0, jitter: false },
+  });
+  return { client, calls };
+}
+
+const accepted = () => response(200, { result_url: "http://api.test/results/job.json" });
+const result = () => response(200, { summary: { total_working: 1 }, metadata: {}, proxies: [{ proxy: { host: "1.1.1.1", port: 80 }, status: "working" }] });
+
+test("a check whose POST may have reached the API is not posted again", async () => {
+  const { client, calls } = fakeClient({ posts: [new Error("socket hang up"), accepted()], downloads: [result()] });
+  await assert.rejects(client.check(["1.1.1.1:80"]), NetworkError);
+  assert.equal(calls.post, 1);
+});
+
+test("a refused check is posted again", async () => {
+  const { client, calls } = fakeClient({ posts: [response(503, "busy"), accepted()], downloads: [result()] });
+  const checked = await client.check(["1.1.1.1:80"]);
+  assert.equal(calls.post, 2);
+  assert.equal(checked.working.length, 1);
+});
+
+test("a failed result download is fetched again without re-posting the check", async () => {
+  const { client, calls } = fakeClient({ posts: [accepted()], downloads: [response(500, "oops"), result()] });
+  const checked = await client.check(["1.1.1.1:80"]);
+  assert.equal(calls.post, 1);
+  assert.equal(calls.download, 2);
+  assert.equal(checked.working.length, 1);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import yaml from "js-yaml";
+import { formatOutput, formatFromPath, csvCell, EXPORT_FORMATS } from "../lib/exporters.js";
+import { CONFIG_FORMATS } from "../lib/configs.js";
+import { formatOutput as formatOutputFromUtils } from "../lib/utils.js";
+
+const entries = [
+  { proxy: { host: "1.1.1.1", port: 8080, username: "u", password: "p,w" }, protocol: "http", status: "working", country: "US", responseTime: 120, anonymity: "elite" },
+  { proxy: { host: "2001:db8::1", port: 3128 }, protocol: "socks5", status: "failed", country: null, responseTime: null, anonymity: null },
+];
+
+const validation = {
+  per_url_summary: [{ url: "https://example.com", name: "example", successful_proxies: ["u:p,w@1.1.1.1:8080"] }],
+};
+
+test("formatFromPath picks the format from the extension", () => {
+  assert.equal(formatFromPath("out/result.csv"), "csv");
+  assert.equal(formatFromPath("result.JSONL"), "ndjson");
+  assert.equal(formatFromPath("result.yml"), "yaml");
+  assert.equal(formatFromPath("working.list"), "txt");
+  assert.equal(formatFromPath("result.bin"), "json");
+  assert.equal(formatFromPath("result.bin", "txt"), "txt");
+});
+
+test("csvCell quotes cells that need it", () => {
+  assert.equal(csvCell("plain"), "plain");
+  assert.equal(csvCell('say "hi", twice'), '"say ""hi"", twice"');
+  assert.equal(csvCell(" padded"), '" padded"');
+  assert.equal(csvCell(["http", "socks5"]), "http|socks5");
+  assert.equal(csvCell(null), "");
+});
+
+test("csv output has the chosen columns and a verdict per custom URL", () => {
+  const csv = formatOutput(entries, "csv", false, { customUrlValidation: validation, columns: ["host", "port", "status", "custom"] });
+  assert.deepEqual(csv.split("\n"), ["host,port,status,example", "1.1.1.1,8080,working,true", "2001:db8::1,3128,failed,"]);
+  assert.throws(() => formatOutput(entries, "csv", false, { columns: ["host", "bogus"] }), /Unknown CSV column\(s\): bogus/);
+});
+
+test("ndjson and yaml output read back as the same records", () => {
+  const lines = formatOutput(entries, "ndjson").split("\n").map(line => JSON.parse(line));
+  assert.deepEqual(lines, entries);
+  const records = yaml.load(formatOutput(entries, "yaml", false, { customUrlValidation: validation }));
+  assert.equal(records.length, 2);
+  assert.deepEqual(records[0].custom_urls, { example: true });
+});
+
+test("simple output keeps only the proxy, IPv6 hosts in brackets", () => {
+  assert.equal(formatOutput(entries, "txt", true), "u:p,w@1.1.1.1:8080\n[2001:db8::1]:3128");
+  assert.deepEqual(JSON.parse(formatOutput(entries, "json", true)), ["u:p,w@1.1.1.1:8080", "[2001:db8::1]:3128"]);
+});
+
+test("formatOutput is still importable from lib/utils.js", () => {
+  assert.equal(formatOutputFromUtils, formatOutput);
+});
+
+test("every config format is an export format", () => {
+  assert.deepEqual(CONFIG_FORMATS.filter(format => !EXPORT_FORMATS.includes(format)), []);
+});
@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { detectInputFormat, readContent } from "../lib/importers.js";
+import { parseProxyList } from "../lib/utils.js";
+import { convertProxies } from "../lib/exporters.js";
+
+const CLASH = `proxies:
+  - { name: a, type: socks5, server: 1.1.1.1, port: 1080, username: u, password: p }
+  - { name: b, type: http, server: proxy.example.com, port: 3128 }
+  - { name: c, type: vmess, server: 2.2.2.2, port: 443 }
+`;
+
+const PROXYCHAINS = `strict_chain
+[ProxyList]
+# home
+socks5 1.1.1.1 1080 u p
+http 3.3.3.3 8080
+`;
+
+const SWITCHYOMEGA = JSON.stringify({
+  schemaVersion: 2,
+  "+work": {
+    profileType: "FixedProfile",
+    fallbackProxy: { scheme: "socks5", host: "4.4.4.4", port: 1080 },
+    proxyForHttp: { scheme: "http", host: "5.5.5.5", port: 8080 },
+    auth: { proxyForHttp: { username: "u", password: "p" } },
+  },
+  "+direct": { profileType: "SwitchProfile" },
+});
+
+const BASE64 = Buffer.from("socks5://1.1.1.1:1080\nhttp://u:p@6.6.6.6:8080\n").toString("base64");
+
+async function withFile(name, content, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "clearproxy-test-"));
+  try {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return await fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("detectInputFormat recognises every input format from its content", () => {
+  assert.equal(detectInputFormat(CLASH), "clash");
+  assert.equal(detectInputFormat(PROXYCHAINS), "proxychains");
+  assert.equal(detectInputFormat(SWITCHYOMEGA, "omega.bak"), "switchyomega");
+  assert.equal(detectInputFormat(BASE64), "base64");
+  assert.equal(detectInputFormat("host,port\n1.1.1.1,80"), "csv");
+  assert.equal(detectInputFormat('["1.1.1.1:80"]'), "json");
+  assert.equal(detectInputFormat("1.1.1.1:80\n2.2.2.2:8080"), "txt");
+});
+
+test("config files read back as proxy lines, unsupported entries rejected", async () => {
+  const clash = await withFile("clash.yaml", CLASH, parseProxyList);
+  assert.deepEqual(clash.proxies, ["socks5://u:p@1.1.1.1:1080", "http://proxy.example.com:3128"]);
+  assert.equal(clash.rejected.length, 1);
+
+  const chains = await withFile("proxychains.conf", PROXYCHAINS, parseProxyList);
+  assert.deepEqual(chains.proxies, ["socks5://u:p@1.1.1.1:1080", "http://3.3.3.3:8080"]);
+
+  const omega = await withFile("omega.bak", SWITCHYOMEGA, parseProxyList);
+  assert.deepEqual(omega.proxies, ["socks5://4.4.4.4:1080", "http://u:p@5.5.5.5:8080"]);
+
+  const subscription = await withFile("sub.txt", BASE64, parseProxyList);
+  assert.deepEqual(subscription.proxies, ["socks5://1.1.1.1:1080", "http://u:p@6.6.6.6:8080"]);
+});
+
+test("unreadable files fail with the format in the message", () => {
+  assert.throws(() => readContent("{not json", "switchyomega"), /^Error: Failed to parse SwitchyOmega backup: /);
+  assert.throws(() => readContent("null", "switchyomega"), /Failed to parse SwitchyOmega backup: not a backup object/);
+  assert.throws(() => readContent("{not json", "json"), /^Error: Failed to parse JSON: /);
+  assert.throws(() => readContent("foo: [", "clash"), /^Error: Failed to parse Clash YAML: /);
+  assert.throws(() => readContent("name: x", "clash"), /no 'proxies' list/);
+});
+
+test("convertProxies turns a Clash config into a proxychains list", async () => {
+  const { output, report } = await withFile("clash.yaml", CLASH, file => convertProxies(file, "proxychains"));
+  const lines = output.split("\n");
+  assert.deepEqual(lines.slice(lines.indexOf("[ProxyList]") + 1), ["socks5 1.1.1.1 1080 u p", "http proxy.example.com 3128"]);
+  assert.equal(report.format, "clash");
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ClearProxy } from "../lib/sdk.js";
+import { JobStore, recordJob } from "../lib/jobs.js";
+
+const json = body => new Response(JSON.stringify(body), { status: 200 });
+
+// A path below a regular file can never be created (ENOTDIR)
+function unwritableStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "clearproxy-test-"));
+  fs.writeFileSync(path.join(dir, "file"), "");
+  return { dir, store: new JobStore(path.join(dir, "file", "jobs.json")) };
+}
+
+test("recordJob returns the write error and keeps the entry pending", () => {
+  const { dir, store } = unwritableStore();
+  try {
+    const error = recordJob(store, { jobId: "job1", resultUrl: "http://api.test/r.json" });
+    assert.match(error, /^Job not recorded: /);
+    assert.equal(store.find("job1")[0].resultUrl, "http://api.test/r.json");
+    assert.throws(() => store.flush());
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("a jobs file that cannot be written does not fail an accepted check", async () => {
+  const { dir, store } = unwritableStore();
+  try {
+    const client = new ClearProxy("clearpx_test", {
+      baseURL: "http://api.test",
+      jobStore: store,
+      fetch: async (url, init = {}) => (init.method === "POST"
+        ? json({ result_url: "http://api.test/r.json" })
+        : json({ summary: {}, metadata: {}, proxies: [{ proxy: { host: "1.1.1.1", port: 80 }, status: "working" }] })),
+    });
+    const result = await client.check(["1.1.1.1:80"]);
+    assert.equal(result.working.length, 1);
+    assert.match(result.jobs_error, /^Job not recorded: /);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseProxyLine, parseProxyList } from "../lib/utils.js";
+
+const proxyOf = line => parseProxyLine(line).proxy;
+
+test("parseProxyLine reads every common layout", () => {
+  const withAuth = { host: "1.2.3.4", port: 8080, username: "user", password: "pass" };
+  for (const line of ["user:pass@1.2.3.4:8080", "1.2.3.4:8080:user:pass", "user:pass:1.2.3.4:8080", "1.2.3.4:8080@user:pass", "1.2.3.4 8080 user pass", "1.2.3.4:8080 user:pass"]) {
+    assert.deepEqual(proxyOf(line), withAuth, line);
+  }
+  assert.deepEqual(proxyOf("1.2.3.4:8080"), { host: "1.2.3.4", port: 8080 });
+  assert.deepEqual(proxyOf("socks5h://proxy.example.com:1080"), { host: "proxy.example.com", port: 1080, protocol: "socks5" });
+  assert.deepEqual(proxyOf("[2001:db8::1]:3128"), { host: "2001:db8::1", port: 3128 });
+  assert.deepEqual(proxyOf("u:p@ss:w@rd@1.2.3.4:80"), { host: "1.2.3.4", port: 80, username: "u", password: "p@ss:w@rd" });
+});
+
+test("parseProxyLine skips comments and blank lines and explains rejected ones", () => {
+  assert.deepEqual(parseProxyLine("   # scraped 2026-01-31"), { empty: true });
+  assert.deepEqual(proxyOf("1.2.3.4:8080 # fast"), { host: "1.2.3.4", port: 8080 });
+  for (const line of ["1.2.3.4", "1.2.3.4:99999", "300.1.1.1:80", "ftp://1.2.3.4:21"]) {
+    assert.ok(parseProxyLine(line).error, line);
+  }
+});
+
+test("parseProxyList drops duplicates without folding credentials together", async () => {
+  const report = await parseProxyList([
+    "u:Pass@1.1.1.1:80",
+    "u:pass@1.1.1.1:80",
+    "U:pass@PROXY.example.com:80",
+    "U:pass@proxy.example.com:80",
+    "1.1.1.1:80",
+    "socks5://1.1.1.1:80",
+    "1.1.1.1:80",
+    "not a proxy",
+  ]);
+  assert.deepEqual(report.proxies, [
+    "u:Pass@1.1.1.1:80",
+    "u:pass@1.1.1.1:80",
+    "U:pass@PROXY.example.com:80",
+    "1.1.1.1:80",
+    "socks5://1.1.1.1:80",
+  ]);
+  assert.equal(report.duplicates, 2);
+  assert.equal(report.rejected.length, 1);
+  assert.equal(report.total, 8);
+});
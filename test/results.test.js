@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { mergeResults, withProtocol, attachLabels, uncheckedLines } from "../lib/results.js";
+import { ResultSet } from "../lib/resultset.js";
+import { positiveInteger, parseProxyList } from "../lib/utils.js";
+
+const entry = (host, status, extra = {}) => ({ proxy: { host, port: 8080 }, status, ...extra });
+
+function batch(proxies, summary = {}) {
+  return {
+    summary,
+    metadata: { total_checked: proxies.length },
+    proxies,
+    working: proxies.filter(p => p.status === "working"),
+    failed: proxies.filter(p => p.status !== "working"),
+    custom_url_validation: null,
+  };
+}
+
+test("mergeResults sums count fields and recomputes rates", () => {
+  const merged = mergeResults([
+    batch([entry("1.1.1.1", "working"), entry("2.2.2.2", "failed")], {
+      total_working: 1, total_failed: 1, success_rate: "50.00%", average_response_time: 300,
+      countries: { US: 1 }, anonymity_levels: { elite: 1 },
+    }),
+    batch([entry("3.3.3.3", "working"), entry("4.4.4.4", "working")], {
+      total_working: 2, total_failed: 0, success_rate: "100.00%", average_response_time: 100,
+      countries: { US: 1, DE: 1 }, anonymity_levels: { elite: 2 },
+    }),
+  ]);
+  assert.equal(merged.summary.total_working, 3);
+  assert.equal(merged.summary.total_failed, 1);
+  assert.equal(merged.summary.success_rate, "75.00%");
+  assert.equal(merged.summary.average_response_time, undefined);
+  assert.deepEqual(merged.summary.countries, { US: 2, DE: 1 });
+  assert.deepEqual(merged.summary.anonymity_levels, { elite: 3 });
+  assert.equal(merged.metadata.total_checked, 4);
+});
+
+test("mergeResults recomputes the per-rule and overall custom URL rates", () => {
+  const rule = (success, total, proxies) => ({
+    url: "https://example.com", name: "example", total_tested: total, success_count: success,
+    failed_count: total - success, success_rate: "0.00%", successful_proxies: proxies,
+  });
+  const merged = mergeResults([
+    { ...batch([entry("1.1.1.1", "working")]), custom_url_validation: { summary: { total_urls_tested: 1 }, per_url_summary: [rule(1, 1, ["1.1.1.1:8080"])] } },
+    { ...batch([entry("2.2.2.2", "working")]), custom_url_validation: { summary: { total_urls_tested: 1 }, per_url_summary: [rule(0, 1, [])] } },
+  ]);
+  const [summary] = merged.custom_url_validation.per_url_summary;
+  assert.equal(summary.success_count, 1);
+  assert.equal(summary.total_tested, 2);
+  assert.equal(summary.success_rate, "50.00%");
+  assert.deepEqual(summary.successful_proxies, ["1.1.1.1:8080"]);
+});
+
+test("every status other than working counts as failed, in merges and filters alike", () => {
+  const proxies = [entry("1.1.1.1", "working"), entry("2.2.2.2", "failed"), entry("3.3.3.3", "timeout"), entry("4.4.4.4", "error")];
+  const merged = mergeResults([batch(proxies.slice(0, 2)), batch(proxies.slice(2))]);
+  const filtered = ResultSet.from(merged).failed();
+  assert.equal(merged.failed.length, 3);
+  assert.equal(filtered.size, 3);
+  assert.equal(withProtocol(batch(proxies), "http").failed.length, 3);
+  assert.equal(attachLabels(batch(proxies), {}).failed.length, 3);
+});
+
+test("positiveInteger rejects counts the batching cannot use", () => {
+  assert.equal(positiveInteger("5000", "batch size"), 5000);
+  for (const value of ["0", "-1", "1.5", "abc", ""]) {
+    assert.throws(() => positiveInteger(value, "batch size"), /Invalid batch size/);
+  }
+});
+
+test("unchecked lines of failed batches can be read back and checked again", async () => {
+  const lines = uncheckedLines([
+    { index: 0, size: 2, proxies: ["1.1.1.1:8080", "u:p@2.2.2.2:3128"], protocol: "socks5", error: "socket hang up" },
+    { index: 1, size: 2, proxies: ["3.3.3.3:80", "http://4.4.4.4:80"], protocol: "auto", error: "timeout" },
+  ]);
+  assert.deepEqual(lines, ["socks5://1.1.1.1:8080", "socks5://u:p@2.2.2.2:3128", "3.3.3.3:80", "http://4.4.4.4:80"]);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "clearproxy-test-"));
+  try {
+    const file = path.join(dir, "result.json.unchecked.txt");
+    fs.writeFileSync(file, lines.join("\n"));
+    const report = await parseProxyList(file);
+    assert.deepEqual(report.rejected, []);
+    assert.equal(report.proxies.length, 4);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { carryOver } from "../lib/watch.js";
+
+const entry = (host, status) => ({ proxy: { host, port: 8080 }, status });
+
+function resultOf(proxies, extra = {}) {
+  const working = proxies.filter(p => p.status === "working");
+  return { summary: { total_working: working.length }, proxies, working, failed: proxies.filter(p => p.status !== "working"), ...extra };
+}
+
+test("carryOver keeps the previous entries of proxies in failed batches", () => {
+  const previous = resultOf([entry("1.1.1.1", "working"), entry("2.2.2.2", "working"), entry("3.3.3.3", "failed")]);
+  const current = resultOf([entry("1.1.1.1", "failed")], {
+    failed_batches: [{ index: 1, size: 2, proxies: ["2.2.2.2:8080", "http://3.3.3.3:8080"], protocol: "http", error: "socket hang up" }],
+  });
+
+  const merged = carryOver(current, previous);
+  assert.equal(merged.carried_over, 2);
+  assert.deepEqual(merged.proxies.map(p => p.proxy.host), ["1.1.1.1", "2.2.2.2", "3.3.3.3"]);
+  assert.deepEqual(merged.working.map(p => p.proxy.host), ["2.2.2.2"]);
+  assert.equal(merged.summary.total_working, 1);
+});
+
+test("carryOver matches proxies with credentials", () => {
+  const previous = resultOf([{ proxy: { host: "4.4.4.4", port: 3128, username: "u", password: "p" }, status: "working" }]);
+  const current = resultOf([], { failed_batches: [{ index: 0, size: 1, proxies: ["u:p@4.4.4.4:3128"], error: "timeout" }] });
+  assert.equal(carryOver(current, previous).carried_over, 1);
+});
+
+test("carryOver leaves results without failed batches or a previous cycle alone", () => {
+  const current = resultOf([entry("1.1.1.1", "working")]);
+  assert.equal(carryOver(current, null), current);
+  const failed = resultOf([], { failed_batches: [{ index: 0, size: 1, proxies: ["1.1.1.1:8080"] }] });
+  assert.equal(carryOver(failed, null), failed);
+});